@@ -174,6 +174,7 @@ class Agent(private val client: AnthropicClient, private val repository: Convers
         coachStyle: String = "default",
         contextLimit: Int? = null,
         sessionId: String? = null,
+        onEvent: (suspend (ChatStreamEvent) -> Unit)? = null,
     ): Triple<String, StructuredLLMResponse?, Usage?> {
         logger.info("Received user message: $userMessage")
 
@@ -238,7 +239,13 @@ class Agent(private val client: AnthropicClient, private val repository: Convers
             logger.info("Sending request with ${conversationHistory.size} messages in history")
 
             val response = try {
-                val apiResponse = client.sendMessage(conversationHistory, tools, getSystemPrompt(coachStyle))
+                val apiResponse = if (onEvent != null) {
+                    client.streamMessage(conversationHistory, tools, getSystemPrompt(coachStyle)) { text ->
+                        onEvent(ChatStreamEvent(type = "delta", text = text))
+                    }
+                } else {
+                    client.sendMessage(conversationHistory, tools, getSystemPrompt(coachStyle))
+                }
                 lastUsage = apiResponse.usage
                 totalInputTokens += apiResponse.usage.input_tokens
                 logger.info("Total input tokens so far: $totalInputTokens" + if (maxContextTokens != null) " / $maxContextTokens" else "")
@@ -282,6 +289,7 @@ class Agent(private val client: AnthropicClient, private val repository: Convers
 
                         hasToolUse = true
                         assistantContent.add(block)
+                        onEvent?.invoke(ChatStreamEvent(type = "tool", tool = toolName))
 
                         logger.info("Executing tool: $toolName with input: $toolInput")
                         val toolResult = Tools.executeTool(toolName, toolInput)
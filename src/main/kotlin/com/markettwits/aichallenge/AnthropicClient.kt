@@ -9,8 +9,9 @@ import io.ktor.client.request.*
 import io.ktor.client.statement.*
 import io.ktor.http.*
 import io.ktor.serialization.kotlinx.json.*
+import io.ktor.utils.io.*
 import kotlinx.serialization.ExperimentalSerializationApi
-import kotlinx.serialization.json.Json
+import kotlinx.serialization.json.*
 import org.slf4j.LoggerFactory
 
 class AnthropicClient(private val apiKey: String) {
@@ -31,10 +32,14 @@ class AnthropicClient(private val apiKey: String) {
             socketTimeoutMillis = 60000
         }
         engine {
-            requestTimeout = 60000
+            // 0 disables the engine limit: the request timeout comes from HttpTimeout only,
+            // so streaming calls can override it per request
+            requestTimeout = 0
         }
     }
 
+    private val streamJson = Json { ignoreUnknownKeys = true; isLenient = true }
+
     private val apiUrl = "https://api.anthropic.com/v1/messages"
     private val model = "claude-3-5-haiku-20241022"
 
@@ -93,6 +98,153 @@ class AnthropicClient(private val apiKey: String) {
         }
     }
 
+    /**
+     * Same request as [sendMessage], but with `stream: true`. Text deltas are passed to [onTextDelta]
+     * as they arrive; the returned response is assembled from the stream events, so callers can handle
+     * tool_use blocks exactly as with the non-streaming call.
+     */
+    suspend fun streamMessage(
+        messages: List<Message>,
+        tools: List<Tool>? = null,
+        systemPrompt: String? = null,
+        temperature: Double? = null,
+        onTextDelta: suspend (String) -> Unit,
+    ): AnthropicResponse {
+        val request = AnthropicRequest(
+            model = model,
+            max_tokens = 4096,
+            messages = messages,
+            tools = tools,
+            system = systemPrompt,
+            temperature = temperature,
+            stream = true
+        )
+
+        logger.info("Sending streaming request to Anthropic API with model: $model")
+
+        var messageId = ""
+        var responseModel = model
+        var stopReason: String? = null
+        var inputTokens = 0
+        var outputTokens = 0
+        val blocks = sortedMapOf<Int, ContentBlock>()
+        val textBuffers = mutableMapOf<Int, StringBuilder>()
+        val inputBuffers = mutableMapOf<Int, StringBuilder>()
+
+        try {
+            client.preparePost(apiUrl) {
+                // A long answer may stream for minutes; only a stalled socket should abort it
+                timeout {
+                    requestTimeoutMillis = HttpTimeout.INFINITE_TIMEOUT_MS
+                }
+                header("x-api-key", apiKey)
+                header("anthropic-version", "2023-06-01")
+                contentType(ContentType.Application.Json)
+                setBody(request)
+            }.execute { response ->
+                if (response.status != HttpStatusCode.OK) {
+                    val errorBody = response.bodyAsText()
+                    logger.error("API error: ${response.status} - $errorBody")
+                    throw Exception("API error: ${response.status} - $errorBody")
+                }
+
+                val channel = response.bodyAsChannel()
+                while (!channel.isClosedForRead) {
+                    val line = channel.readUTF8Line() ?: break
+                    if (!line.startsWith("data:")) continue
+
+                    val event = streamJson.parseToJsonElement(line.removePrefix("data:").trim()).jsonObject
+                    when (event["type"]?.jsonPrimitive?.content) {
+                        "message_start" -> {
+                            val message = event["message"]?.jsonObject
+                            messageId = message?.get("id")?.jsonPrimitive?.content ?: ""
+                            responseModel = message?.get("model")?.jsonPrimitive?.content ?: model
+                            inputTokens = message?.get("usage")?.jsonObject
+                                ?.get("input_tokens")?.jsonPrimitive?.int ?: 0
+                        }
+
+                        "content_block_start" -> {
+                            val index = event["index"]?.jsonPrimitive?.int ?: continue
+                            val block = event["content_block"]?.jsonObject ?: continue
+                            blocks[index] = ContentBlock(
+                                type = block["type"]?.jsonPrimitive?.content ?: "text",
+                                id = block["id"]?.jsonPrimitive?.contentOrNull,
+                                name = block["name"]?.jsonPrimitive?.contentOrNull
+                            )
+                            textBuffers[index] = StringBuilder(block["text"]?.jsonPrimitive?.contentOrNull ?: "")
+                            inputBuffers[index] = StringBuilder()
+                        }
+
+                        "content_block_delta" -> {
+                            val index = event["index"]?.jsonPrimitive?.int ?: continue
+                            val delta = event["delta"]?.jsonObject ?: continue
+                            when (delta["type"]?.jsonPrimitive?.content) {
+                                "text_delta" -> {
+                                    val text = delta["text"]?.jsonPrimitive?.content ?: ""
+                                    textBuffers.getOrPut(index) { StringBuilder() }.append(text)
+                                    onTextDelta(text)
+                                }
+
+                                "input_json_delta" -> {
+                                    val partialJson = delta["partial_json"]?.jsonPrimitive?.content ?: ""
+                                    inputBuffers.getOrPut(index) { StringBuilder() }.append(partialJson)
+                                }
+                            }
+                        }
+
+                        "message_delta" -> {
+                            stopReason = event["delta"]?.jsonObject?.get("stop_reason")?.jsonPrimitive?.contentOrNull
+                            outputTokens = event["usage"]?.jsonObject
+                                ?.get("output_tokens")?.jsonPrimitive?.int ?: outputTokens
+                        }
+
+                        "error" -> {
+                            val message = event["error"]?.jsonObject?.get("message")?.jsonPrimitive?.content
+                            throw Exception("API stream error: $message")
+                        }
+                    }
+                }
+            }
+        } catch (e: java.nio.channels.UnresolvedAddressException) {
+            logger.error("DNS resolution failed for api.anthropic.com.", e)
+            throw Exception("Не удалось подключиться к API Claude. Проверьте интернет-соединение.")
+        } catch (e: java.net.ConnectException) {
+            logger.error("Connection failed to Anthropic API", e)
+            throw Exception("Не удалось подключиться к API Claude. Проверьте интернет-соединение.")
+        } catch (e: java.net.SocketTimeoutException) {
+            logger.error("Timeout connecting to Anthropic API", e)
+            throw Exception("Превышено время ожидания ответа от API Claude.")
+        } catch (e: Exception) {
+            logger.error("Error streaming from Anthropic API: ${e.javaClass.simpleName} - ${e.message}", e)
+            throw e
+        }
+
+        val content = blocks.map { (index, block) ->
+            when (block.type) {
+                "text" -> block.copy(text = textBuffers[index]?.toString() ?: "")
+                "tool_use" -> {
+                    val rawInput = inputBuffers[index]?.toString().orEmpty()
+                    block.copy(
+                        input = if (rawInput.isBlank()) buildJsonObject { }
+                        else streamJson.parseToJsonElement(rawInput).jsonObject
+                    )
+                }
+
+                else -> block
+            }
+        }
+
+        return AnthropicResponse(
+            id = messageId,
+            type = "message",
+            role = "assistant",
+            content = content,
+            model = responseModel,
+            stop_reason = stopReason,
+            usage = Usage(inputTokens, outputTokens)
+        )
+    }
+
     fun close() {
         client.close()
     }
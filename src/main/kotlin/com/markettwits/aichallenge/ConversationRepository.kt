@@ -4,6 +4,7 @@ import kotlinx.serialization.encodeToString
 import kotlinx.serialization.json.Json
 import org.jetbrains.exposed.sql.*
 import org.jetbrains.exposed.sql.SqlExpressionBuilder.eq
+import org.jetbrains.exposed.sql.SqlExpressionBuilder.inList
 import org.jetbrains.exposed.sql.transactions.transaction
 import org.slf4j.LoggerFactory
 
@@ -52,7 +53,7 @@ class ConversationRepository(databasePath: String = "data/conversations.db") {
     fun loadMessages(sessionId: String): List<Message> {
         return transaction {
             ConversationMessages.select { ConversationMessages.sessionId eq sessionId }
-                .orderBy(ConversationMessages.timestamp to SortOrder.ASC)
+                .orderBy(ConversationMessages.timestamp to SortOrder.ASC, ConversationMessages.id to SortOrder.ASC)
                 .map { row ->
                     Message(
                         role = row[ConversationMessages.role],
@@ -62,6 +63,49 @@ class ConversationRepository(databasePath: String = "data/conversations.db") {
         }
     }
 
+    fun getLastMessageTime(sessionId: String): Long? {
+        return transaction {
+            ConversationMessages.select { ConversationMessages.sessionId eq sessionId }
+                .maxOfOrNull { it[ConversationMessages.timestamp] }
+        }
+    }
+
+    /**
+     * Number of leading messages that make up the first [turns] turns. A turn starts with a user
+     * message carrying text; tool results are also sent as user messages but belong to the current turn.
+     */
+    fun countMessagesInTurns(sessionId: String, turns: Int): Int {
+        val messages = loadMessages(sessionId)
+        var turnCount = 0
+        messages.forEachIndexed { index, message ->
+            if (message.role == "user" && message.content.any { it.type == "text" }) {
+                if (turnCount == turns) return index
+                turnCount++
+            }
+        }
+        return messages.size
+    }
+
+    fun truncateHistory(sessionId: String, keepMessages: Int) {
+        transaction {
+            val idsToDelete = ConversationMessages.select { ConversationMessages.sessionId eq sessionId }
+                .orderBy(ConversationMessages.timestamp to SortOrder.ASC, ConversationMessages.id to SortOrder.ASC)
+                .drop(keepMessages)
+                .map { it[ConversationMessages.id] }
+
+            if (idsToDelete.isNotEmpty()) {
+                ConversationMessages.deleteWhere { ConversationMessages.id inList idsToDelete }
+            }
+        }
+        logger.info("Truncated conversation history for session $sessionId to $keepMessages messages")
+    }
+
+    fun copyHistory(fromSessionId: String, toSessionId: String, messageCount: Int) {
+        val messages = loadMessages(fromSessionId).take(messageCount)
+        messages.forEach { saveMessage(toSessionId, it) }
+        logger.info("Copied ${messages.size} messages from session $fromSessionId to $toSessionId")
+    }
+
     fun clearHistory(sessionId: String) {
         transaction {
             ConversationMessages.deleteWhere {
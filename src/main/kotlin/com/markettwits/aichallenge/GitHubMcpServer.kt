@@ -146,6 +146,10 @@ class GitHubMcpServer {
         }
     }
 
+    // Tools report failures as text instead of throwing
+    fun isErrorResult(result: String): Boolean =
+        result.startsWith("Error") || result.startsWith("GitHub API error")
+
     private suspend fun searchRepositories(params: Map<String, Any>): String {
         val query = params["query"]?.toString() ?: "language:kotlin"
         val limit = (params["limit"] as? String)?.toIntOrNull() ?: 10
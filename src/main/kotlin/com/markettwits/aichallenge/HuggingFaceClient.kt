@@ -9,6 +9,8 @@ import io.ktor.serialization.kotlinx.json.*
 import kotlinx.serialization.Serializable
 import kotlinx.serialization.json.*
 import org.slf4j.LoggerFactory
+import kotlin.math.ceil
+import kotlin.math.pow
 
 @Serializable
 data class ModelComparisonResult(
@@ -20,17 +22,50 @@ data class ModelComparisonResult(
     val outputTokens: Int,
     val estimatedCost: Double,
     val error: String? = null,
+    val trial: Int = 1,
 )
 
+// temperature and maxTokens are sent to the provider only when set
+@Serializable
+data class ModelRunConfig(
+    val modelId: String,
+    val temperature: Double? = null,
+    val maxTokens: Int? = null,
+)
+
+// models = null keeps the old behaviour: every model once with provider defaults
 @Serializable
 data class ComparisonRequest(
     val query: String,
+    val models: List<ModelRunConfig>? = null,
+    val trials: Int = 1,
+)
+
+// Aggregates over the successful trials of one model
+@Serializable
+data class ModelTrialStats(
+    val modelId: String,
+    val modelName: String,
+    val trials: Int,
+    val successfulTrials: Int,
+    val meanLatencyMs: Double,
+    val p95LatencyMs: Long,
+    val meanInputTokens: Double,
+    val meanOutputTokens: Double,
+    val outputTokensVariance: Double,
 )
 
 @Serializable
 data class ComparisonResponse(
     val results: List<ModelComparisonResult>,
     val totalTimeMs: Long,
+    val stats: List<ModelTrialStats> = emptyList(),
+)
+
+@Serializable
+data class ComparisonModel(
+    val id: String,
+    val name: String,
 )
 
 class HuggingFaceClient(private val apiKey: String) {
@@ -58,20 +93,63 @@ class HuggingFaceClient(private val apiKey: String) {
         val costPerToken: Double,
     )
 
-    suspend fun compareModels(query: String): ComparisonResponse {
+    fun availableModels(): List<ComparisonModel> = models.map { ComparisonModel(it.id, it.name) }
+
+    fun isKnownModel(modelId: String): Boolean = models.any { it.id == modelId }
+
+    suspend fun compareModels(
+        query: String,
+        configs: List<ModelRunConfig>? = null,
+        trials: Int = 1,
+    ): ComparisonResponse {
         val startTime = System.currentTimeMillis()
         val results = mutableListOf<ModelComparisonResult>()
+        val runs = configs ?: models.map { ModelRunConfig(it.id) }
+        val trialCount = trials.coerceIn(1, MAX_TRIALS)
+
+        for (config in runs) {
+            val model = models.first { it.id == config.modelId }
+            repeat(trialCount) { index ->
+                val result = queryModel(model, query, config, index + 1)
+                results.add(result)
+            }
+        }
 
-        for (model in models) {
-            val result = queryModel(model, query)
-            results.add(result)
+        val stats = runs.map { config ->
+            val model = models.first { it.id == config.modelId }
+            buildTrialStats(model, results.filter { it.modelId == config.modelId })
         }
 
         val totalTime = System.currentTimeMillis() - startTime
-        return ComparisonResponse(results, totalTime)
+        return ComparisonResponse(results, totalTime, stats)
     }
 
-    private suspend fun queryModel(model: ModelInfo, query: String): ModelComparisonResult {
+    private fun buildTrialStats(model: ModelInfo, trials: List<ModelComparisonResult>): ModelTrialStats {
+        val successful = trials.filter { it.error == null }
+        val latencies = successful.map { it.responseTimeMs }.sorted()
+        val outputTokens = successful.map { it.outputTokens.toDouble() }
+        val meanOutputTokens = outputTokens.average().takeIf { !it.isNaN() } ?: 0.0
+
+        return ModelTrialStats(
+            modelId = model.id,
+            modelName = model.name,
+            trials = trials.size,
+            successfulTrials = successful.size,
+            meanLatencyMs = latencies.average().takeIf { !it.isNaN() } ?: 0.0,
+            // Nearest-rank percentile
+            p95LatencyMs = if (latencies.isEmpty()) 0 else latencies[ceil(latencies.size * 0.95).toInt() - 1],
+            meanInputTokens = successful.map { it.inputTokens.toDouble() }.average().takeIf { !it.isNaN() } ?: 0.0,
+            meanOutputTokens = meanOutputTokens,
+            outputTokensVariance = if (outputTokens.isEmpty()) 0.0 else outputTokens.sumOf { (it - meanOutputTokens).pow(2) } / outputTokens.size
+        )
+    }
+
+    private suspend fun queryModel(
+        model: ModelInfo,
+        query: String,
+        config: ModelRunConfig,
+        trial: Int,
+    ): ModelComparisonResult {
         val startTime = System.currentTimeMillis()
 
         return try {
@@ -85,6 +163,8 @@ class HuggingFaceClient(private val apiKey: String) {
                     }
                 }
                 put("model", "${model.id}:fastest")
+                config.temperature?.let { put("temperature", it) }
+                config.maxTokens?.let { put("max_tokens", it) }
             }
 
             val apiUrl = "https://router.huggingface.co/v1/chat/completions"
@@ -148,7 +228,8 @@ class HuggingFaceClient(private val apiKey: String) {
                 inputTokens = inputTokens,
                 outputTokens = outputTokens,
                 estimatedCost = cost,
-                error = null
+                error = null,
+                trial = trial
             )
         } catch (e: Exception) {
             logger.error("Error querying model ${model.id}", e)
@@ -162,7 +243,8 @@ class HuggingFaceClient(private val apiKey: String) {
                 inputTokens = 0,
                 outputTokens = 0,
                 estimatedCost = 0.0,
-                error = e.message ?: "Unknown error"
+                error = e.message ?: "Unknown error",
+                trial = trial
             )
         }
     }
@@ -174,4 +256,8 @@ class HuggingFaceClient(private val apiKey: String) {
     fun close() {
         client.close()
     }
+
+    companion object {
+        const val MAX_TRIALS = 10
+    }
 }
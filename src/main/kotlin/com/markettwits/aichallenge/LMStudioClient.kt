@@ -9,6 +9,8 @@ import io.ktor.client.request.*
 import io.ktor.client.statement.*
 import io.ktor.http.*
 import io.ktor.serialization.kotlinx.json.*
+import io.ktor.utils.io.*
+import kotlinx.coroutines.CancellationException
 import kotlinx.serialization.ExperimentalSerializationApi
 import kotlinx.serialization.SerialName
 import kotlinx.serialization.Serializable
@@ -24,6 +26,7 @@ data class LMStudioChatRequest(
     @SerialName("top_p") val topP: Double? = null,
     @SerialName("presence_penalty") val presencePenalty: Double? = null,
     @SerialName("frequency_penalty") val frequencyPenalty: Double? = null,
+    val stream: Boolean? = null,
 )
 
 @Serializable
@@ -259,6 +262,96 @@ class LMStudioClient(private val baseUrl: String) {
         }
     }
 
+    /**
+     * Streaming variant of [chat] (`stream: true`, OpenAI-style SSE chunks). Each content delta is
+     * passed to [onDelta]. If the stream breaks off - e.g. the caller stops consuming because the
+     * browser aborted the request - the text received so far is returned as the reply with [LMStudioChatResult.error] set.
+     */
+    suspend fun chatStream(
+        messages: List<LMStudioMessage>,
+        temperature: Double = 0.7,
+        modelName: String? = null,
+        maxTokens: Int? = null,
+        topP: Double? = null,
+        presencePenalty: Double? = null,
+        frequencyPenalty: Double? = null,
+        onDelta: suspend (String) -> Unit,
+    ): LMStudioChatResult {
+        val selectedModel = modelName ?: listModels().firstOrNull() ?: "local-model"
+        val reply = StringBuilder()
+
+        return try {
+            val url = "$baseUrl/v1/chat/completions"
+            logger.info("Using model: $selectedModel for streaming chat at $url (temp=$temperature)")
+
+            val request = LMStudioChatRequest(
+                model = selectedModel,
+                messages = messages,
+                temperature = temperature,
+                maxTokens = maxTokens ?: DEFAULT_MAX_TOKENS,
+                topP = topP,
+                presencePenalty = presencePenalty,
+                frequencyPenalty = frequencyPenalty,
+                stream = true
+            )
+
+            var modelUsed = selectedModel
+            var usage: LMStudioUsage? = null
+
+            client.preparePost(url) {
+                contentType(ContentType.Application.Json)
+                setBody(request)
+            }.execute { response ->
+                if (response.status != HttpStatusCode.OK) {
+                    val errorBody = response.bodyAsText()
+                    throw Exception("Failed to get response from local model (${response.status}): $errorBody")
+                }
+
+                val channel = response.bodyAsChannel()
+                while (!channel.isClosedForRead) {
+                    val line = channel.readUTF8Line() ?: break
+                    if (!line.startsWith("data:")) continue
+
+                    val data = line.removePrefix("data:").trim()
+                    if (data == "[DONE]") break
+
+                    val chunk = json.parseToJsonElement(data).jsonObject
+                    chunk["error"]?.let { error ->
+                        throw Exception(error.jsonObject["message"]?.jsonPrimitive?.content ?: error.toString())
+                    }
+                    chunk["model"]?.jsonPrimitive?.contentOrNull?.let { modelUsed = it }
+                    chunk["usage"]?.takeIf { it is JsonObject }?.let {
+                        usage = json.decodeFromJsonElement(LMStudioUsage.serializer(), it)
+                    }
+
+                    val delta = chunk["choices"]?.jsonArray?.firstOrNull()
+                        ?.jsonObject?.get("delta")?.jsonObject
+                        ?.get("content")?.jsonPrimitive?.contentOrNull
+                    if (!delta.isNullOrEmpty()) {
+                        reply.append(delta)
+                        onDelta(delta)
+                    }
+                }
+            }
+
+            logger.info("LM Studio stream finished. Received ${reply.length} chars")
+            LMStudioChatResult(
+                reply = reply.toString(),
+                modelUsed = modelUsed,
+                usage = usage
+            )
+        } catch (e: CancellationException) {
+            throw e
+        } catch (e: Exception) {
+            logger.warn("LM Studio stream interrupted after ${reply.length} chars: ${e.message}")
+            LMStudioChatResult(
+                reply = reply.toString(),
+                modelUsed = selectedModel,
+                error = e.message ?: "Stream interrupted"
+            )
+        }
+    }
+
     suspend fun isAvailable(): Boolean {
         return try {
             val url = "$baseUrl/v1/models"
@@ -35,6 +35,15 @@ data class LocalChatResponse(
     val timestamp: Long = System.currentTimeMillis(),
 )
 
+// Server-sent event for /local-coach/chat/stream: "delta" carries a text chunk, "done" the final response,
+// "error" ends a stream that failed before any text arrived
+@Serializable
+data class LocalChatStreamEvent(
+    val type: String,
+    val text: String? = null,
+    val response: LocalChatResponse? = null,
+)
+
 @Serializable
 data class LocalModelsResponse(
     val models: List<String>,
@@ -86,6 +95,7 @@ class LocalCoachAgent(private val lmStudioClient: LMStudioClient) {
         presencePenalty: Double? = null,
         frequencyPenalty: Double? = null,
         contextMessages: Int? = null,
+        onDelta: (suspend (String) -> Unit)? = null,
     ): LocalChatResponse {
         val usedTemperature = temperature.coerceIn(0.0, 2.0)
         val contextLimit = contextMessages?.coerceIn(2, 24) ?: DEFAULT_CONTEXT_MESSAGES
@@ -113,17 +123,42 @@ class LocalCoachAgent(private val lmStudioClient: LMStudioClient) {
         messages.add(LMStudioMessage(role = "user", content = userMessage))
 
         // Get response from LM Studio
-        val result = lmStudioClient.chat(
-            messages = applyContextLimit(messages, contextLimit),
-            temperature = usedTemperature,
-            modelName = modelName,
-            maxTokens = usedMaxTokens,
-            topP = usedTopP,
-            presencePenalty = usedPresencePenalty,
-            frequencyPenalty = usedFrequencyPenalty
-        )
+        val result = if (onDelta != null) {
+            val streamed = try {
+                lmStudioClient.chatStream(
+                    messages = applyContextLimit(messages, contextLimit),
+                    temperature = usedTemperature,
+                    modelName = modelName,
+                    maxTokens = usedMaxTokens,
+                    topP = usedTopP,
+                    presencePenalty = usedPresencePenalty,
+                    frequencyPenalty = usedFrequencyPenalty,
+                    onDelta = onDelta
+                )
+            } catch (e: Exception) {
+                messages.removeAt(messages.lastIndex)
+                throw e
+            }
+
+            // Nothing arrived before the failure: drop the question instead of saving an empty turn
+            if (streamed.error != null && streamed.reply.isEmpty()) {
+                messages.removeAt(messages.lastIndex)
+                throw Exception(streamed.error)
+            }
+            streamed
+        } else {
+            lmStudioClient.chat(
+                messages = applyContextLimit(messages, contextLimit),
+                temperature = usedTemperature,
+                modelName = modelName,
+                maxTokens = usedMaxTokens,
+                topP = usedTopP,
+                presencePenalty = usedPresencePenalty,
+                frequencyPenalty = usedFrequencyPenalty
+            )
+        }
 
-        // Add assistant response to history
+        // Add assistant response to history (a stopped stream keeps its non-empty partial answer)
         messages.add(LMStudioMessage(role = "assistant", content = result.reply))
 
         // Keep only last N messages (plus system prompt) to avoid memory issues
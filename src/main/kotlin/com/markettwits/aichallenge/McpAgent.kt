@@ -30,6 +30,7 @@ data class McpToolResult(
     val result: String,
     val success: Boolean,
     val timestamp: String,
+    val durationMs: Long? = null,
 )
 
 class McpAgent(
@@ -133,6 +134,7 @@ class McpAgent(
                         }
                     }
 
+                    val toolStartTime = System.currentTimeMillis()
                     val mcpResult = runBlocking {
                         try {
                             val result = mcpServer.executeTool(toolName, parameters)
@@ -141,8 +143,9 @@ class McpAgent(
                                     tool = toolName,
                                     parameters = toolInput,
                                     result = result,
-                                    success = true,
-                                    timestamp = java.time.Instant.now().toString()
+                                    success = !mcpServer.isErrorResult(result),
+                                    timestamp = java.time.Instant.now().toString(),
+                                    durationMs = System.currentTimeMillis() - toolStartTime
                                 )
                             )
                             result
@@ -153,7 +156,8 @@ class McpAgent(
                                     parameters = toolInput,
                                     result = "Error: ${e.message}",
                                     success = false,
-                                    timestamp = java.time.Instant.now().toString()
+                                    timestamp = java.time.Instant.now().toString(),
+                                    durationMs = System.currentTimeMillis() - toolStartTime
                                 )
                             )
                             "Error executing tool: ${e.message}"
@@ -12,6 +12,21 @@ data class ChatRequest(
     val maxContextTokens: Int? = null,
 )
 
+// Turn-based history edits for the training chat: a turn starts with a user text message,
+// keepTurns is the number of complete turns that stay in the history
+@Serializable
+data class ChatTruncateRequest(
+    val sessionId: String,
+    val keepTurns: Int,
+)
+
+@Serializable
+data class ChatForkRequest(
+    val sessionId: String,
+    val newSessionId: String,
+    val keepTurns: Int,
+)
+
 @Serializable
 data class ReasoningChatRequest(
     val message: String,
@@ -20,6 +35,9 @@ data class ReasoningChatRequest(
     val temperature: Double? = null,
     val maxContextTokens: Int? = null,
     val compressionThreshold: Int? = null,
+    // Positions of the pinned messages in the client's dialog; messageIndex is the position of this message
+    val pinnedMessages: List<Int>? = null,
+    val messageIndex: Int? = null,
 )
 
 @Serializable
@@ -36,6 +54,52 @@ data class ReasoningChatResponse(
     val compressionOccurred: Boolean? = null,
 )
 
+@Serializable
+data class ReasoningHistoryMessage(
+    val role: String,
+    val content: String,
+    val pinned: Boolean = false,
+    // Position in the client's dialog; needed on restore, where the folded messages are left out
+    val index: Int? = null,
+)
+
+// What the server still holds for a reasoning session; empty messages mean it was lost (restart or clear)
+@Serializable
+data class ReasoningSessionState(
+    val sessionId: String,
+    val messages: List<ReasoningHistoryMessage> = emptyList(),
+    val summaries: List<DialogSummary> = emptyList(),
+    val totalInputTokens: Int? = null,
+    val contextLimit: Int? = null,
+)
+
+// messages are the ones kept verbatim after the last compression; the last summary is put in front of them
+@Serializable
+data class ReasoningRestoreRequest(
+    val sessionId: String,
+    val messages: List<ReasoningHistoryMessage>,
+    val summaries: List<DialogSummary> = emptyList(),
+    val totalInputTokens: Int? = null,
+    val contextLimit: Int? = null,
+)
+
+// messages is the whole original dialog as the client keeps it, including the pinned flags
+@Serializable
+data class ReasoningRecompressRequest(
+    val sessionId: String,
+    val messages: List<ReasoningHistoryMessage>,
+    val compressionThreshold: Int,
+)
+
+// contextStart is the index of the first message kept verbatim after the new summary
+@Serializable
+data class ReasoningRecompressResponse(
+    val contextStart: Int,
+    val summaries: List<DialogSummary>,
+    val totalInputTokens: Int? = null,
+    val contextLimit: Int? = null,
+)
+
 @Serializable
 data class ExpertOpinion(
     val expertName: String,
@@ -54,6 +118,16 @@ data class ChatResponse(
     val contextLimit: Int? = null,
 )
 
+// Server-sent event for /chat/stream: "delta" carries a text chunk, "tool" marks a tool call
+// (the client drops the draft text), "done" carries the final ChatResponse, "error" ends the stream
+@Serializable
+data class ChatStreamEvent(
+    val type: String,
+    val text: String? = null,
+    val tool: String? = null,
+    val response: ChatResponse? = null,
+)
+
 @Serializable
 data class StructuredLLMResponse(
     val tag: String,
@@ -90,6 +164,7 @@ data class AnthropicRequest(
     val tools: List<Tool>? = null,
     val system: String? = null,
     val temperature: Double? = null,
+    val stream: Boolean? = null,
 )
 
 @Serializable
@@ -152,6 +227,7 @@ data class ChatMessagesResponse(
     val sessionId: String,
     val messages: List<SimpleMessage>,
     val messageCount: Int,
+    val lastMessageTime: Long? = null,
 )
 
 // MCP API Response models
@@ -198,6 +274,7 @@ data class GitHubExecuteResponse(
     val result: String,
     val success: Boolean,
     val error: String? = null,
+    val durationMs: Long? = null,
 )
 
 // MCP Status Response model
@@ -239,6 +316,7 @@ data class ReminderCreateRequest(
     val metadata: Map<String, String> = emptyMap(),
 )
 
+// Null leaves a field unchanged; an empty string (0 for periodicityMinutes) clears an optional field
 @Serializable
 data class ReminderUpdateRequest(
     val title: String? = null,
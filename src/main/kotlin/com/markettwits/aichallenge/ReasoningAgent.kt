@@ -3,6 +3,7 @@ package com.markettwits.aichallenge
 import kotlinx.serialization.json.Json
 import org.slf4j.LoggerFactory
 import java.time.Instant
+import java.util.IdentityHashMap
 
 class ReasoningAgent(private val client: AnthropicClient) {
     private val logger = LoggerFactory.getLogger(ReasoningAgent::class.java)
@@ -12,6 +13,11 @@ class ReasoningAgent(private val client: AnthropicClient) {
     private val totalInputTokens = mutableMapOf<String, Int>()
     private val compressionThresholds = mutableMapOf<String, Int>()
     private val summaries = mutableMapOf<String, MutableList<DialogSummary>>()
+    // Position of each message in the dialog as the client keeps it. Messages are matched by identity,
+    // so two replies with the same text (say, "да") are still told apart
+    private val dialogPositions = mutableMapOf<String, IdentityHashMap<Message, Int>>()
+    // Positions of the messages the user pinned: never folded into a summary and not counted towards the threshold
+    private val pinnedMessages = mutableMapOf<String, Set<Int>>()
 
     suspend fun chat(
         userMessage: String,
@@ -20,6 +26,8 @@ class ReasoningAgent(private val client: AnthropicClient) {
         temperature: Double? = null,
         contextLimit: Int? = null,
         compressionThreshold: Int? = null,
+        pinned: List<Int>? = null,
+        messageIndex: Int? = null,
     ): ReasoningChatResponse {
         logger.info("Received message in reasoning mode: $reasoningMode, temperature: $temperature, contextLimit: $contextLimit, compressionThreshold: $compressionThreshold")
 
@@ -33,17 +41,23 @@ class ReasoningAgent(private val client: AnthropicClient) {
             logger.info("Compression threshold set to $compressionThreshold messages for session $sessionId")
         }
 
+        if (pinned != null) {
+            pinnedMessages[sessionId] = pinned.toSet()
+        }
+
         totalInputTokens.getOrDefault(sessionId, 0)
         maxContextTokens[sessionId]
 
         val history = conversationHistory.getOrPut(sessionId) { mutableListOf() }
+        val positions = dialogPositions.getOrPut(sessionId) { IdentityHashMap() }
 
-        history.add(
-            Message(
-                role = "user",
-                content = listOf(ContentBlock(type = "text", text = userMessage))
-            )
+        val userMsg = Message(
+            role = "user",
+            content = listOf(ContentBlock(type = "text", text = userMessage))
         )
+        history.add(userMsg)
+        val userPosition = messageIndex ?: positions.size
+        positions[userMsg] = userPosition
 
         var compressionOccurred = false
         if (shouldCompress(sessionId, history)) {
@@ -59,6 +73,8 @@ class ReasoningAgent(private val client: AnthropicClient) {
             "tokenizer" -> tokenizerResponseAfterUserAdded(history, temperature, sessionId)
             else -> directResponseAfterUserAdded(history, temperature, sessionId)
         }
+        // Every mode appends exactly one assistant message, which follows the user message in the client's dialog
+        positions[history.last()] = userPosition + 1
 
         val allSummaries = summaries[sessionId]?.toList() ?: emptyList()
 
@@ -670,13 +686,18 @@ class ReasoningAgent(private val client: AnthropicClient) {
         )
     }
 
+    private fun isPinned(sessionId: String, msg: Message): Boolean {
+        val position = dialogPositions[sessionId]?.get(msg) ?: return false
+        return position in pinnedMessages[sessionId].orEmpty()
+    }
+
     private fun shouldCompress(sessionId: String, history: MutableList<Message>): Boolean {
         val threshold = compressionThresholds[sessionId] ?: return false
         if (threshold == 0) return false
 
         val nonSummaryMessages = history.filter { msg ->
             val text = msg.content.firstOrNull { it.type == "text" }?.text ?: ""
-            !text.startsWith("[SUMMARY]")
+            !text.startsWith("[SUMMARY]") && !isPinned(sessionId, msg)
         }
         val userMessageCount = nonSummaryMessages.count { it.role == "user" }
         return userMessageCount >= threshold
@@ -698,7 +719,10 @@ class ReasoningAgent(private val client: AnthropicClient) {
             !text.startsWith("[SUMMARY]")
         }
 
-        if (nonSummaryMessages.isEmpty()) {
+        val keptMessages = nonSummaryMessages.filter { isPinned(sessionId, it) }
+        val foldedMessages = nonSummaryMessages.filterNot { isPinned(sessionId, it) }
+
+        if (foldedMessages.isEmpty()) {
             if (currentUserMsg != null) {
                 history.add(currentUserMsg)
             }
@@ -712,7 +736,46 @@ class ReasoningAgent(private val client: AnthropicClient) {
             text.removePrefix("[SUMMARY]: ")
         }
 
-        val newMessagesText = nonSummaryMessages.joinToString("\n") { msg ->
+        val (summaryText, tokensAfterCompression) = summarize(previousSummariesText, foldedMessages)
+
+        history.clear()
+        history.add(
+            Message(
+                role = "assistant",
+                content = listOf(
+                    ContentBlock(
+                        type = "text",
+                        text = "[SUMMARY]: $summaryText"
+                    )
+                )
+            )
+        )
+        history.addAll(keptMessages)
+
+        if (currentUserMsg != null) {
+            history.add(currentUserMsg)
+        }
+
+        val totalMessagesCompressed = summaryMessages.size + foldedMessages.size
+
+        val summary = DialogSummary(
+            summary = summaryText,
+            originalMessageCount = totalMessagesCompressed,
+            timestamp = Instant.now().toString(),
+            tokensBeforeCompression = tokensBeforeCompression,
+            tokensAfterCompression = tokensAfterCompression
+        )
+
+        summaries[sessionId] = mutableListOf(summary)
+
+        totalInputTokens[sessionId] = tokensAfterCompression
+
+        logger.info("Compression completed. Messages compressed: $totalMessagesCompressed (${summaryMessages.size} summaries + ${foldedMessages.size} new, ${keptMessages.size} pinned kept), tokens before: $tokensBeforeCompression, after: $tokensAfterCompression, saved: ${tokensBeforeCompression - tokensAfterCompression}")
+    }
+
+    // Returns the summary text and its size in input tokens
+    private suspend fun summarize(previousSummariesText: String, messages: List<Message>): Pair<String, Int> {
+        val newMessagesText = messages.joinToString("\n") { msg ->
             val role = if (msg.role == "user") "Пользователь" else "Ассистент"
             val text = msg.content.firstOrNull { it.type == "text" }?.text ?: ""
             "$role: $text"
@@ -759,23 +822,6 @@ class ReasoningAgent(private val client: AnthropicClient) {
 
         val summaryText = response.content.firstOrNull { it.type == "text" }?.text ?: "Summary недоступно"
 
-        history.clear()
-        history.add(
-            Message(
-                role = "assistant",
-                content = listOf(
-                    ContentBlock(
-                        type = "text",
-                        text = "[SUMMARY]: $summaryText"
-                    )
-                )
-            )
-        )
-
-        if (currentUserMsg != null) {
-            history.add(currentUserMsg)
-        }
-
         val tempHistoryForTokenCount = mutableListOf<Message>()
         tempHistoryForTokenCount.add(
             Message(
@@ -791,23 +837,141 @@ class ReasoningAgent(private val client: AnthropicClient) {
             null
         )
 
-        val tokensAfterCompression = tokenCountResponse.usage.input_tokens
+        return summaryText to tokenCountResponse.usage.input_tokens
+    }
 
-        val totalMessagesCompressed = summaryMessages.size + nonSummaryMessages.size
+    /**
+     * Rebuilds the session from the original dialog kept by the client, as if it had been run with
+     * [ReasoningRecompressRequest.compressionThreshold] from the start. A threshold of 0 rolls the
+     * compression back and restores every message verbatim.
+     */
+    suspend fun recompress(request: ReasoningRecompressRequest): ReasoningRecompressResponse {
+        val sessionId = request.sessionId
+        val threshold = request.compressionThreshold
+        val pinned = request.messages.indices.filter { request.messages[it].pinned }.toSet()
+        pinnedMessages[sessionId] = pinned
+
+        // Replays shouldCompress over the dialog to find the user message that triggered the last compression
+        var cut = 0
+        if (threshold > 0) {
+            var userMessageCount = 0
+            request.messages.forEachIndexed { index, msg ->
+                if (msg.role == "user" && index !in pinned) {
+                    userMessageCount++
+                    if (userMessageCount >= threshold) {
+                        if ((0 until index).any { it !in pinned }) {
+                            cut = index
+                        }
+                        userMessageCount = 1
+                    }
+                }
+            }
+        }
 
-        val summary = DialogSummary(
-            summary = summaryText,
-            originalMessageCount = totalMessagesCompressed,
-            timestamp = Instant.now().toString(),
-            tokensBeforeCompression = tokensBeforeCompression,
-            tokensAfterCompression = tokensAfterCompression
+        val messages = request.messages.map { msg ->
+            Message(role = msg.role, content = listOf(ContentBlock(type = "text", text = msg.content)))
+        }
+        dialogPositions[sessionId] = IdentityHashMap<Message, Int>().apply {
+            messages.forEachIndexed { index, msg -> put(msg, index) }
+        }
+        val folded = messages.take(cut).filterIndexed { index, _ -> index !in pinned }
+        val kept = messages.take(cut).filterIndexed { index, _ -> index in pinned }
+        val history = mutableListOf<Message>()
+
+        if (folded.isEmpty()) {
+            history.addAll(messages)
+            summaries.remove(sessionId)
+            cut = 0
+        } else {
+            val tokensBeforeCompression = totalInputTokens[sessionId] ?: 0
+            val (summaryText, tokensAfterCompression) = summarize("", folded)
+
+            history.add(
+                Message(
+                    role = "assistant",
+                    content = listOf(ContentBlock(type = "text", text = "[SUMMARY]: $summaryText"))
+                )
+            )
+            history.addAll(kept)
+            history.addAll(messages.drop(cut))
+
+            summaries[sessionId] = mutableListOf(
+                DialogSummary(
+                    summary = summaryText,
+                    originalMessageCount = folded.size,
+                    timestamp = Instant.now().toString(),
+                    tokensBeforeCompression = tokensBeforeCompression,
+                    tokensAfterCompression = tokensAfterCompression
+                )
+            )
+            totalInputTokens[sessionId] = tokensAfterCompression
+        }
+
+        conversationHistory[sessionId] = history
+        if (threshold > 0) {
+            compressionThresholds[sessionId] = threshold
+        } else {
+            compressionThresholds.remove(sessionId)
+        }
+
+        logger.info("Recompressed session $sessionId with threshold $threshold: ${folded.size} messages folded, ${kept.size} pinned kept")
+
+        return ReasoningRecompressResponse(
+            contextStart = cut,
+            summaries = summaries[sessionId]?.toList() ?: emptyList(),
+            totalInputTokens = totalInputTokens[sessionId],
+            contextLimit = maxContextTokens[sessionId]
         )
+    }
 
-        summaries[sessionId] = mutableListOf(summary)
+    fun getSessionState(sessionId: String): ReasoningSessionState {
+        val messages = conversationHistory[sessionId].orEmpty().map { msg ->
+            ReasoningHistoryMessage(
+                role = msg.role,
+                content = msg.content.firstOrNull { it.type == "text" }?.text ?: ""
+            )
+        }
+        return ReasoningSessionState(
+            sessionId = sessionId,
+            messages = messages,
+            summaries = summaries[sessionId]?.toList() ?: emptyList(),
+            totalInputTokens = totalInputTokens[sessionId],
+            contextLimit = maxContextTokens[sessionId]
+        )
+    }
 
-        totalInputTokens[sessionId] = tokensAfterCompression
+    fun restoreSession(request: ReasoningRestoreRequest) {
+        val sessionId = request.sessionId
+        val history = mutableListOf<Message>()
+        val positions = IdentityHashMap<Message, Int>()
+
+        request.summaries.lastOrNull()?.let { summary ->
+            history.add(
+                Message(
+                    role = "assistant",
+                    content = listOf(ContentBlock(type = "text", text = "[SUMMARY]: ${summary.summary}"))
+                )
+            )
+        }
+        request.messages.forEachIndexed { index, msg ->
+            val message = Message(
+                role = msg.role,
+                content = listOf(ContentBlock(type = "text", text = msg.content))
+            )
+            history.add(message)
+            positions[message] = msg.index ?: index
+        }
+
+        conversationHistory[sessionId] = history
+        dialogPositions[sessionId] = positions
+        summaries[sessionId] = request.summaries.toMutableList()
+        pinnedMessages[sessionId] = request.messages
+            .mapIndexedNotNull { index, msg -> if (msg.pinned) msg.index ?: index else null }
+            .toSet()
+        request.totalInputTokens?.let { totalInputTokens[sessionId] = it }
+        request.contextLimit?.let { maxContextTokens[sessionId] = it }
 
-        logger.info("Compression completed. Messages compressed: $totalMessagesCompressed (${summaryMessages.size} summaries + ${nonSummaryMessages.size} new), tokens before: $tokensBeforeCompression, after: $tokensAfterCompression, saved: ${tokensBeforeCompression - tokensAfterCompression}")
+        logger.info("Restored session $sessionId: ${history.size} messages, ${request.summaries.size} summaries")
     }
 
     fun clearHistory(sessionId: String) {
@@ -816,5 +980,7 @@ class ReasoningAgent(private val client: AnthropicClient) {
         maxContextTokens.remove(sessionId)
         compressionThresholds.remove(sessionId)
         summaries.remove(sessionId)
+        dialogPositions.remove(sessionId)
+        pinnedMessages.remove(sessionId)
     }
 }
@@ -83,7 +83,7 @@ class ReminderRepository(
         val now = LocalDateTime.now().format(dateTimeFormatter)
 
         // Calculate next reminder time for periodic tasks
-        val nextReminderTime = calculateNextReminderTime(request, LocalDateTime.now())
+        val nextReminderTime = calculateNextReminderTime(request.periodicityMinutes, request.recurringType, LocalDateTime.now())
 
         val task = ReminderTask(
             id = taskId,
@@ -121,14 +121,18 @@ class ReminderRepository(
         return task
     }
 
-    private fun calculateNextReminderTime(request: ReminderCreateRequest, now: LocalDateTime): LocalDateTime? {
+    private fun calculateNextReminderTime(
+        periodicityMinutes: Int?,
+        recurringType: String?,
+        now: LocalDateTime,
+    ): LocalDateTime? {
         return when {
-            request.periodicityMinutes != null && request.periodicityMinutes!! > 0 -> {
-                now.plusMinutes(request.periodicityMinutes!!.toLong())
+            periodicityMinutes != null && periodicityMinutes > 0 -> {
+                now.plusMinutes(periodicityMinutes.toLong())
             }
 
-            request.recurringType != null -> {
-                when (request.recurringType) {
+            recurringType != null -> {
+                when (recurringType) {
                     "minutely" -> now.plusMinutes(1)
                     "hourly" -> now.plusHours(1)
                     "daily" -> now.plusDays(1)
@@ -212,14 +216,15 @@ class ReminderRepository(
                     it[priority] = request.priority
                 }
             }
+            // Optional fields are cleared with an empty string (0 for periodicityMinutes)
             request.dueDate?.let {
                 ReminderTasks.update({ ReminderTasks.id eq taskId }) {
-                    it[dueDate] = request.dueDate
+                    it[dueDate] = request.dueDate.ifBlank { null }
                 }
             }
             request.reminderTime?.let {
                 ReminderTasks.update({ ReminderTasks.id eq taskId }) {
-                    it[reminderTime] = request.reminderTime
+                    it[reminderTime] = request.reminderTime.ifBlank { null }
                 }
             }
             request.status?.let { status ->
@@ -232,12 +237,29 @@ class ReminderRepository(
             }
             request.recurringType?.let {
                 ReminderTasks.update({ ReminderTasks.id eq taskId }) {
-                    it[recurringType] = request.recurringType
+                    it[recurringType] = request.recurringType.ifBlank { null }
                 }
             }
-            // Update nextReminderTime from request
-            request.nextReminderTime?.let {
-                ReminderTasks.update({ ReminderTasks.id eq taskId }) { it[nextReminderTime] = request.nextReminderTime }
+            request.periodicityMinutes?.let {
+                ReminderTasks.update({ ReminderTasks.id eq taskId }) {
+                    it[periodicityMinutes] = request.periodicityMinutes.takeIf { minutes -> minutes > 0 }
+                }
+            }
+            // Update nextReminderTime from request, or reschedule when the repetition changed
+            if (request.nextReminderTime != null) {
+                ReminderTasks.update({ ReminderTasks.id eq taskId }) {
+                    it[nextReminderTime] = request.nextReminderTime.ifBlank { null }
+                }
+            } else if (request.periodicityMinutes != null || request.recurringType != null) {
+                val row = ReminderTasks.select { ReminderTasks.id eq taskId }.single()
+                val next = calculateNextReminderTime(
+                    row[ReminderTasks.periodicityMinutes],
+                    row[ReminderTasks.recurringType],
+                    LocalDateTime.now()
+                )
+                ReminderTasks.update({ ReminderTasks.id eq taskId }) {
+                    it[nextReminderTime] = next?.format(dateTimeFormatter)
+                }
             }
             request.metadata?.let {
                 ReminderTasks.update({ ReminderTasks.id eq taskId }) {
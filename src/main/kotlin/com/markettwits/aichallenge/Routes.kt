@@ -13,13 +13,17 @@ import io.ktor.server.application.*
 import io.ktor.server.request.*
 import io.ktor.server.response.*
 import io.ktor.server.routing.*
+import kotlinx.coroutines.CancellationException
 import kotlinx.serialization.Serializable
 import kotlinx.serialization.json.Json
 import kotlinx.serialization.json.buildJsonObject
 import org.jetbrains.exposed.sql.Database
 import org.slf4j.LoggerFactory
 import java.io.File
+import java.time.LocalDate
+import java.time.LocalDateTime
 import java.time.format.DateTimeFormatter
+import java.util.concurrent.ConcurrentHashMap
 
 // RAG Query Request models
 @Serializable
@@ -59,7 +63,8 @@ fun Application.configureRouting(
     stacktraceAnalysisService: StacktraceAnalysisService? = null,
 ) {
     val logger = LoggerFactory.getLogger("Routes")
-    val reasoningAgents = mutableMapOf<String, ReasoningAgent>()
+    // Reasoning comparison sends one request per mode at once, so agents are created from several threads
+    val reasoningAgents = ConcurrentHashMap<String, ReasoningAgent>()
     val mcpAgents = mutableMapOf<String, McpAgent>()
     val reminderMcpServer = ReminderMcpServer(reminderRepository)
     //val llmSummarizer = AdvancedLLMSummarizer(anthropicClient, reminderRepository, repository)
@@ -134,6 +139,51 @@ fun Application.configureRouting(
             }
         }
 
+        post("/chat/stream") {
+            val request = call.receive<ChatRequest>()
+            logger.info("Received streaming chat request from session ${request.sessionId}: ${request.message}")
+
+            call.response.header(HttpHeaders.CacheControl, "no-cache")
+            call.respondTextWriter(contentType = ContentType.Text.EventStream) {
+                suspend fun send(event: ChatStreamEvent) {
+                    write("data: ${Json.encodeToString(ChatStreamEvent.serializer(), event)}\n\n")
+                    flush()
+                }
+
+                try {
+                    val agent = sessionManager.getOrCreateSession(request.sessionId) {
+                        AnthropicClient(apiKey)
+                    }
+
+                    val (response, structuredResponse, usage) = agent.chat(
+                        request.message,
+                        request.coachStyle ?: "default",
+                        request.maxContextTokens,
+                        request.sessionId,
+                        onEvent = { event -> send(event) }
+                    )
+
+                    send(
+                        ChatStreamEvent(
+                            type = "done",
+                            response = ChatResponse(
+                                response = response,
+                                remainingMessages = agent.getRemainingMessages(),
+                                structuredResponse = structuredResponse,
+                                inputTokens = usage?.input_tokens,
+                                outputTokens = usage?.output_tokens,
+                                totalInputTokens = agent.getTotalInputTokens(),
+                                contextLimit = agent.getContextLimit()
+                            )
+                        )
+                    )
+                } catch (e: Exception) {
+                    logger.error("Error processing streaming chat request", e)
+                    send(ChatStreamEvent(type = "error", text = "Error: ${e.message}"))
+                }
+            }
+        }
+
         post("/api/anthropic/messages") {
             try {
                 val requestBody = call.receiveText()
@@ -190,7 +240,9 @@ fun Application.configureRouting(
                         request.reasoningMode,
                         request.temperature,
                         request.maxContextTokens,
-                        request.compressionThreshold
+                        request.compressionThreshold,
+                        request.pinnedMessages,
+                        request.messageIndex
                     )
 
                 call.respond(response)
@@ -226,7 +278,8 @@ fun Application.configureRouting(
                 val response = ChatMessagesResponse(
                     sessionId = sessionId,
                     messages = simpleMessages,
-                    messageCount = messages.size
+                    messageCount = messages.size,
+                    lastMessageTime = repository.getLastMessageTime(sessionId)
                 )
 
                 call.respond(HttpStatusCode.OK, response)
@@ -278,6 +331,86 @@ fun Application.configureRouting(
             }
         }
 
+        post("/chat/truncate") {
+            try {
+                val request = call.receive<ChatTruncateRequest>()
+                val keepMessages = repository.countMessagesInTurns(request.sessionId, request.keepTurns)
+                repository.truncateHistory(request.sessionId, keepMessages)
+                // The agent reloads the shortened history on the next message
+                sessionManager.clearSession(request.sessionId)
+                call.respond(HttpStatusCode.OK, mapOf("status" to "truncated"))
+            } catch (e: Exception) {
+                logger.error("Error truncating chat session", e)
+                call.respond(
+                    HttpStatusCode.InternalServerError,
+                    mapOf("error" to e.message)
+                )
+            }
+        }
+
+        post("/chat/fork") {
+            try {
+                val request = call.receive<ChatForkRequest>()
+                val keepMessages = repository.countMessagesInTurns(request.sessionId, request.keepTurns)
+                repository.copyHistory(request.sessionId, request.newSessionId, keepMessages)
+                call.respond(HttpStatusCode.OK, mapOf("status" to "forked", "sessionId" to request.newSessionId))
+            } catch (e: Exception) {
+                logger.error("Error forking chat session", e)
+                call.respond(
+                    HttpStatusCode.InternalServerError,
+                    mapOf("error" to e.message)
+                )
+            }
+        }
+
+        get("/reasoning-chat/state/{sessionId}") {
+            try {
+                val sessionId = call.parameters["sessionId"] ?: ""
+                val state = reasoningAgents[sessionId]?.getSessionState(sessionId)
+                    ?: ReasoningSessionState(sessionId = sessionId)
+                call.respond(state)
+            } catch (e: Exception) {
+                logger.error("Error loading reasoning chat state", e)
+                call.respond(
+                    HttpStatusCode.InternalServerError,
+                    mapOf("error" to e.message)
+                )
+            }
+        }
+
+        post("/reasoning-chat/restore") {
+            try {
+                val request = call.receive<ReasoningRestoreRequest>()
+                val agent = reasoningAgents.getOrPut(request.sessionId) {
+                    ReasoningAgent(AnthropicClient(apiKey))
+                }
+                agent.restoreSession(request)
+                call.respond(HttpStatusCode.OK, mapOf("status" to "restored"))
+            } catch (e: Exception) {
+                logger.error("Error restoring reasoning chat session", e)
+                call.respond(
+                    HttpStatusCode.InternalServerError,
+                    mapOf("error" to e.message)
+                )
+            }
+        }
+
+        post("/reasoning-chat/recompress") {
+            try {
+                val request = call.receive<ReasoningRecompressRequest>()
+                val agent = reasoningAgents.getOrPut(request.sessionId) {
+                    ReasoningAgent(AnthropicClient(apiKey))
+                }
+                call.respond(agent.recompress(request))
+            } catch (e: Exception) {
+                logger.error("Error recompressing reasoning chat session", e)
+                call.respond(
+                    HttpStatusCode.InternalServerError,
+                    mapOf("error" to e.message)
+                )
+            }
+        }
+
         post("/reasoning-chat/clear") {
             try {
                 val sessionId = call.receive<Map<String, String>>()["sessionId"] ?: ""
@@ -293,12 +426,24 @@ fun Application.configureRouting(
             }
         }
 
+        get("/model-comparison/models") {
+            call.respond(huggingFaceClient.availableModels())
+        }
+
         post("/model-comparison") {
             try {
                 val request = call.receive<ComparisonRequest>()
-                logger.info("Received model comparison request: ${request.query}")
+                logger.info("Received model comparison request: ${request.query}, models: ${request.models?.map { it.modelId }}, trials: ${request.trials}")
 
-                val response = huggingFaceClient.compareModels(request.query)
+                val unknownModels = request.models.orEmpty().map { it.modelId }.filterNot { huggingFaceClient.isKnownModel(it) }
+                if (unknownModels.isNotEmpty() || request.models?.isEmpty() == true) {
+                    return@post call.respond(
+                        HttpStatusCode.BadRequest,
+                        mapOf("error" to if (unknownModels.isNotEmpty()) "Unknown models: ${unknownModels.joinToString()}" else "No models selected")
+                    )
+                }
+
+                val response = huggingFaceClient.compareModels(request.query, request.models, request.trials)
 
                 call.respond(response)
             } catch (e: Exception) {
@@ -363,14 +508,19 @@ fun Application.configureRouting(
                 }
 
                 val gitHubServer = GitHubMcpServer()
+                val startTime = System.currentTimeMillis()
                 val result = gitHubServer.executeTool(request.tool, parameters)
+                val durationMs = System.currentTimeMillis() - startTime
+                val failed = gitHubServer.isErrorResult(result)
                 gitHubServer.close()
 
                 call.respond(
                     HttpStatusCode.OK, GitHubExecuteResponse(
                         tool = request.tool,
                         result = result,
-                        success = true
+                        success = !failed,
+                        error = if (failed) result else null,
+                        durationMs = durationMs
                     )
                 )
             } catch (e: Exception) {
@@ -674,6 +824,49 @@ fun Application.configureRouting(
                 )
 
                 val request = call.receive<ReminderUpdateRequest>()
+                // Blank clears a date; anything else must be an ISO local date-time ("2025-01-31T18:30")
+                // or a date ("2025-01-31", as the MCP tools may store it), which counts as the start of the day
+                fun parseDateTime(value: String?): LocalDateTime? =
+                    value?.takeIf { it.isNotBlank() }?.let {
+                        runCatching { LocalDateTime.parse(it, DateTimeFormatter.ISO_LOCAL_DATE_TIME) }
+                            .getOrElse { _ -> LocalDate.parse(it, DateTimeFormatter.ISO_LOCAL_DATE).atStartOfDay() }
+                    }
+
+                val validationError = when {
+                    request.title != null && request.title.isBlank() -> "Title must not be empty"
+                    request.description != null && request.description.isBlank() -> "Description must not be empty"
+                    request.priority != null && request.priority !in listOf("low", "medium", "high") ->
+                        "Unknown priority: ${request.priority}"
+
+                    request.recurringType != null && request.recurringType.isNotBlank() &&
+                            request.recurringType !in listOf("minutely", "hourly", "daily", "weekly", "monthly", "custom") ->
+                        "Unknown recurring type: ${request.recurringType}"
+
+                    request.periodicityMinutes != null && request.periodicityMinutes < 0 ->
+                        "Periodicity must not be negative"
+
+                    runCatching { parseDateTime(request.dueDate) }.isFailure ->
+                        "Invalid due date: ${request.dueDate}"
+
+                    runCatching { parseDateTime(request.reminderTime) }.isFailure ->
+                        "Invalid reminder time: ${request.reminderTime}"
+
+                    else -> {
+                        // A partial update is checked against the dates already stored
+                        val stored = reminderRepository.getReminder(id)
+                        val dueDate = runCatching { parseDateTime(request.dueDate ?: stored?.dueDate) }.getOrNull()
+                        val reminderTime = runCatching { parseDateTime(request.reminderTime ?: stored?.reminderTime) }.getOrNull()
+                        if (dueDate != null && reminderTime != null && reminderTime.isAfter(dueDate)) {
+                            "Reminder time must not be later than the due date"
+                        } else {
+                            null
+                        }
+                    }
+                }
+                if (validationError != null) {
+                    return@put call.respond(HttpStatusCode.BadRequest, mapOf("error" to validationError))
+                }
+
                 val updatedTask = reminderRepository.updateReminder(id, request)
 
                 if (updatedTask != null) {
@@ -1699,6 +1892,51 @@ fun Application.configureRouting(
                 }
             }
 
+            post("/local-coach/chat/stream") {
+                val request = call.receive<LocalChatRequest>()
+                logger.info("Received streaming local coach request from session ${request.sessionId}: ${request.message}")
+
+                call.response.header(HttpHeaders.CacheControl, "no-cache")
+                call.respondTextWriter(contentType = ContentType.Text.EventStream) {
+                    suspend fun send(event: LocalChatStreamEvent) {
+                        write("data: ${Json.encodeToString(LocalChatStreamEvent.serializer(), event)}\n\n")
+                        flush()
+                    }
+
+                    val response = try {
+                        localCoachAgent.chat(
+                            sessionId = request.sessionId,
+                            userMessage = request.message,
+                            temperature = request.temperature,
+                            modelName = request.model,
+                            maxTokens = request.maxTokens,
+                            topP = request.topP,
+                            presencePenalty = request.presencePenalty,
+                            frequencyPenalty = request.frequencyPenalty,
+                            contextMessages = request.contextMessages,
+                            onDelta = { text -> send(LocalChatStreamEvent(type = "delta", text = text)) }
+                        )
+                    } catch (e: CancellationException) {
+                        throw e
+                    } catch (e: Exception) {
+                        logger.error("Error processing streaming local coach request", e)
+                        try {
+                            send(LocalChatStreamEvent(type = "error", text = "Error: ${e.message}"))
+                        } catch (closed: Exception) {
+                            logger.info("Local coach stream for session ${request.sessionId} closed by client")
+                        }
+                        return@respondTextWriter
+                    }
+
+                    try {
+                        send(LocalChatStreamEvent(type = "done", response = response))
+                    } catch (e: Exception) {
+                        // The client pressed "stop" and closed the connection; the partial answer is already saved
+                        logger.info("Local coach stream for session ${request.sessionId} closed by client")
+                    }
+                }
+            }
+
             get("/local-coach/models") {
                 try {
                     if (localLlmUrl.isNotEmpty()) {
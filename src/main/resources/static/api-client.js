@@ -0,0 +1,169 @@
+// Shared HTTP layer for the tabs of the main page (loaded before script.js).
+// Every request gets a timeout and an X-Request-Id header, idempotent GETs are retried
+// with backoff, and every failure is thrown as an ApiError with the same shape.
+
+const API_DEFAULT_TIMEOUT_MS = 30000;
+const API_RETRY_DELAYS_MS = [500, 1500, 4000];
+
+class ApiError extends Error {
+    constructor({message, status = null, serverMessage = null, requestId = null, url = null, kind = 'http'}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.serverMessage = serverMessage;
+        this.requestId = requestId;
+        this.url = url;
+        // 'http' | 'timeout' | 'network' | 'aborted' | 'parse' (the server answered, but the body is not valid JSON)
+        this.kind = kind;
+    }
+
+    get userMessage() {
+        let text;
+        if (this.kind === 'timeout') {
+            text = 'Сервер не ответил вовремя';
+        } else if (this.kind === 'network') {
+            text = 'Нет соединения с сервером';
+        } else {
+            text = this.serverMessage || this.message;
+            if (this.status) text += ` (HTTP ${this.status})`;
+        }
+        return this.requestId ? `${text} · ID запроса: ${this.requestId}` : text;
+    }
+}
+
+function generateRequestId() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 6);
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+function waitFor(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// The server answers errors as {"error": "..."} (or {"message": "..."}), sometimes as plain text
+async function readServerMessage(response) {
+    try {
+        const text = await response.text();
+        try {
+            const data = JSON.parse(text);
+            return data.error || data.message || text;
+        } catch (e) {
+            return text || null;
+        }
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Sends a request and returns the parsed body (JSON or text).
+ * Options: method, body (objects are sent as JSON), headers, timeout (ms, 0 disables it),
+ * retries (defaults to API_RETRY_DELAYS_MS.length for GET and 0 otherwise), signal,
+ * stream (return the Response once headers arrive, for SSE bodies).
+ */
+async function apiRequest(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const timeout = options.timeout ?? API_DEFAULT_TIMEOUT_MS;
+    const maxRetries = options.retries ?? (method === 'GET' ? API_RETRY_DELAYS_MS.length : 0);
+    const requestId = generateRequestId();
+
+    const headers = {'X-Request-Id': requestId, ...options.headers};
+    let body = options.body;
+    if (body !== undefined && typeof body !== 'string' && !(body instanceof FormData)) {
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify(body);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = timeout > 0 ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout) : null;
+        const abortFromCaller = () => controller.abort();
+        options.signal?.addEventListener('abort', abortFromCaller);
+
+        let error;
+        try {
+            const response = await fetch(url, {method, headers, body, signal: controller.signal});
+            const responseRequestId = response.headers.get('X-Request-Id') || requestId;
+
+            if (!response.ok) {
+                error = new ApiError({
+                    message: 'Ошибка сервера',
+                    status: response.status,
+                    serverMessage: await readServerMessage(response),
+                    requestId: responseRequestId,
+                    url
+                });
+                if (!isRetryableStatus(response.status)) throw error;
+            } else if (options.stream) {
+                return response;
+            } else {
+                const contentType = response.headers.get('Content-Type') || '';
+                if (!contentType.includes('application/json')) return await response.text();
+
+                const text = await response.text();
+                try {
+                    return JSON.parse(text);
+                } catch (e) {
+                    // The request has already been handled: neither retried nor queued as offline
+                    throw new ApiError({
+                        message: 'Некорректный ответ сервера',
+                        status: response.status,
+                        requestId: responseRequestId,
+                        url,
+                        kind: 'parse'
+                    });
+                }
+            }
+        } catch (e) {
+            if (e instanceof ApiError) throw e;
+            if (options.signal?.aborted) {
+                throw new ApiError({message: 'Запрос отменён', requestId, url, kind: 'aborted'});
+            }
+            error = new ApiError({
+                message: timedOut ? 'Превышено время ожидания' : e.message,
+                requestId,
+                url,
+                kind: timedOut ? 'timeout' : 'network'
+            });
+        } finally {
+            clearTimeout(timer);
+            options.signal?.removeEventListener('abort', abortFromCaller);
+        }
+
+        if (attempt >= maxRetries) throw error;
+        console.warn(`Retrying ${method} ${url} (attempt ${attempt + 2}):`, error.userMessage);
+        await waitFor(API_RETRY_DELAYS_MS[Math.min(attempt, API_RETRY_DELAYS_MS.length - 1)]);
+    }
+}
+
+function apiGet(url, options = {}) {
+    return apiRequest(url, {...options, method: 'GET'});
+}
+
+function apiPost(url, body, options = {}) {
+    return apiRequest(url, {...options, method: 'POST', body});
+}
+
+function apiPut(url, body, options = {}) {
+    return apiRequest(url, {...options, method: 'PUT', body});
+}
+
+function apiDelete(url, options = {}) {
+    return apiRequest(url, {...options, method: 'DELETE'});
+}
+
+// The single place where request failures reach the user
+function reportApiError(error, context) {
+    console.error(context, error);
+    if (error instanceof ApiError && error.kind === 'aborted') return;
+
+    const details = error instanceof ApiError ? error.userMessage : error.message;
+    showNotification(`${context}: ${details}`, 'error');
+}
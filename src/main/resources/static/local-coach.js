@@ -5,11 +5,13 @@ let messageCount = 0;
 let isLoading = false;
 let availableModels = [];
 let selectedModel = null;
+let activeController = null;
 
 // DOM Elements
 const chatForm = document.getElementById('chat-form');
 const userInput = document.getElementById('user-input');
 const sendButton = document.getElementById('send-button');
+const stopButton = document.getElementById('stop-button');
 const clearButton = document.getElementById('clear-button');
 const messagesContainer = document.getElementById('messages');
 const loadingIndicator = document.getElementById('loading');
@@ -141,7 +143,7 @@ function displayMessage(role, content) {
             </p>
             <div class="${isUser ? 'user-message' : 'assistant-message'} p-5 rounded-2xl ${isUser ? 'rounded-tr-none' : 'rounded-tl-none'}">
                 <div class="markdown-content">
-                    ${isUser ? escapeHtml(content) : marked.parse(content)}
+                    ${isUser ? escapeHtml(content) : renderMarkdown(content)}
                 </div>
             </div>
         </div>
@@ -149,6 +151,7 @@ function displayMessage(role, content) {
 
     messagesContainer.appendChild(messageDiv);
     scrollToBottom();
+    return messageDiv.querySelector('.markdown-content');
 }
 
 // Escape HTML
@@ -169,12 +172,44 @@ function setLoading(loading) {
     loadingIndicator.classList.toggle('hidden', !loading);
     sendButton.disabled = loading;
     userInput.disabled = loading;
+    sendButton.classList.toggle('hidden', loading);
+    stopButton.classList.toggle('hidden', !loading);
 
     if (loading) {
         scrollToBottom();
     }
 }
 
+// Read "data: {...}" events from the streamed response body
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        events.forEach(rawEvent => {
+            const dataLine = rawEvent.split('\n').find(line => line.startsWith('data:'));
+            if (dataLine) {
+                onEvent(JSON.parse(dataLine.substring(5).trim()));
+            }
+        });
+    }
+}
+
+// Abort the in-flight request; the partial answer stays in the transcript
+function stopGenerating() {
+    if (activeController) {
+        activeController.abort();
+    }
+}
+
 // Send message to local coach
 async function sendMessage(message) {
     if (!message.trim() || isLoading) return;
@@ -187,6 +222,9 @@ async function sendMessage(message) {
     userInput.value = '';
     setLoading(true);
 
+    let answerEl = null;
+    let partialAnswer = '';
+
     try {
         const temperature = getNumberValue(temperatureInput, 0.35);
         const topP = getNumberValue(topPInput, 0.9);
@@ -205,32 +243,60 @@ async function sendMessage(message) {
             contextMessages: contextMessages
         };
 
-        const response = await fetch('/local-coach/chat', {
+        activeController = new AbortController();
+        const response = await fetch('/local-coach/chat/stream', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify(payload)
+            body: JSON.stringify(payload),
+            signal: activeController.signal
         });
 
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
 
-        const data = await response.json();
-
-        // Display assistant response
-        displayMessage('assistant', data.response);
-
-        // Update message count
-        messageCount = data.messageCount;
-        messageCountEl.textContent = messageCount;
-        updateSettingsSummary(data);
+        await readEventStream(response, (event) => {
+            if (event.type === 'delta') {
+                if (!answerEl) {
+                    loadingIndicator.classList.add('hidden');
+                    answerEl = displayMessage('assistant', '');
+                }
+                partialAnswer += event.text;
+                answerEl.innerHTML = renderMarkdown(partialAnswer);
+                scrollToBottom();
+            } else if (event.type === 'done') {
+                const data = event.response;
+                if (!answerEl) {
+                    answerEl = displayMessage('assistant', data.response);
+                } else if (data.response !== partialAnswer) {
+                    answerEl.innerHTML = renderMarkdown(data.response);
+                }
+
+                // Update message count
+                messageCount = data.messageCount;
+                messageCountEl.textContent = messageCount;
+                updateSettingsSummary(data);
+            } else if (event.type === 'error') {
+                throw new Error(event.text);
+            }
+        });
 
     } catch (error) {
-        console.error('Error sending message:', error);
-        displayMessage('assistant', '❌ Ошибка: ' + error.message);
+        if (error.name === 'AbortError') {
+            if (!answerEl) {
+                answerEl = displayMessage('assistant', '');
+            }
+            answerEl.innerHTML = renderMarkdown(partialAnswer) +
+                '<p class="text-xs text-gray-400 mt-2">⏹ Генерация остановлена</p>';
+            scrollToBottom();
+        } else {
+            console.error('Error sending message:', error);
+            displayMessage('assistant', '❌ Ошибка: ' + error.message);
+        }
     } finally {
+        activeController = null;
         setLoading(false);
         userInput.focus();
     }
@@ -281,6 +347,7 @@ chatForm.addEventListener('submit', (e) => {
 });
 
 clearButton.addEventListener('click', clearChat);
+stopButton.addEventListener('click', stopGenerating);
 
 // Model selection change handler
 modelSelect.addEventListener('change', (e) => {
@@ -0,0 +1,101 @@
+// Markdown pipeline shared by every chat on the main page and the local coach page
+// (loaded before script.js / local-coach.js).
+// Model output is parsed with marked, sanitized with DOMPurify and code blocks are
+// highlighted with highlight.js; GitHub answers also get the repo and user names their
+// tools returned as links.
+
+if (typeof marked !== 'undefined') {
+    marked.setOptions({
+        breaks: true,
+        gfm: true
+    });
+}
+
+// "@login" or "owner/repo", not inside a URL, path or e-mail address
+const GITHUB_REF_PATTERN = /(^|[^\w/.:@-])(?:@([A-Za-z0-9][A-Za-z0-9-]{0,38})|([A-Za-z0-9][A-Za-z0-9-]{0,38})\/([A-Za-z0-9._-]*[A-Za-z0-9_-]))(?![\w/-])/g;
+
+/**
+ * Returns safe HTML for model output.
+ * Options: linkifyGitHub — a Set of names from collectGitHubNames; only "@login" and "owner/repo"
+ * found there become github.com links, so "and/or" or "Kotlin/JVM" in prose stay text.
+ * Without marked or DOMPurify (CDN unavailable) the text is shown escaped.
+ */
+function renderMarkdown(text, options = {}) {
+    const source = text || '';
+    if (typeof marked === 'undefined' || typeof DOMPurify === 'undefined') {
+        return escapeMarkdownText(source).replace(/\n/g, '<br>');
+    }
+
+    const template = document.createElement('template');
+    template.innerHTML = DOMPurify.sanitize(marked.parse(source));
+
+    if (typeof hljs !== 'undefined') {
+        template.content.querySelectorAll('pre code').forEach(block => hljs.highlightElement(block));
+    }
+    if (options.linkifyGitHub) {
+        linkifyGitHubRefs(template.content, options.linkifyGitHub);
+    }
+    template.content.querySelectorAll('a[href]').forEach(link => {
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+    });
+
+    return template.innerHTML;
+}
+
+// Lower-cased logins and "owner/repo" pairs mentioned in text, e.g. the tool calls of an answer
+// ("github.com/owner/repo", "full_name": "owner/repo")
+function collectGitHubNames(text) {
+    const names = new Set();
+    for (const [token] of (text || '').matchAll(/[A-Za-z0-9._\/-]+/g)) {
+        const parts = token.toLowerCase().split('/');
+        parts.forEach((part, index) => {
+            names.add(part);
+            if (index > 0) names.add(`${parts[index - 1]}/${part}`);
+        });
+    }
+    return names;
+}
+
+function linkifyGitHubRefs(root, knownNames) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        if (!walker.currentNode.parentElement?.closest('a, pre, code')) {
+            textNodes.push(walker.currentNode);
+        }
+    }
+
+    textNodes.forEach(node => {
+        const text = node.textContent;
+        const fragment = document.createDocumentFragment();
+        let lastIndex = 0;
+
+        for (const match of text.matchAll(GITHUB_REF_PATTERN)) {
+            const [full, before, login, owner, repo] = match;
+            // Dates and fractions like 10/12 are not repositories
+            if (owner && !/[A-Za-z]/.test(owner + repo)) continue;
+            if (!knownNames.has((login || `${owner}/${repo}`).toLowerCase())) continue;
+
+            const start = match.index + before.length;
+            fragment.append(text.slice(lastIndex, start));
+
+            const link = document.createElement('a');
+            link.href = login ? `https://github.com/${login}` : `https://github.com/${owner}/${repo}`;
+            link.textContent = full.slice(before.length);
+            fragment.append(link);
+            lastIndex = match.index + full.length;
+        }
+
+        if (lastIndex > 0) {
+            fragment.append(text.slice(lastIndex));
+            node.replaceWith(fragment);
+        }
+    });
+}
+
+function escapeMarkdownText(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
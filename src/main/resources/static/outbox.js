@@ -0,0 +1,184 @@
+// Offline outbox for the main page (loaded after api-client.js, before script.js).
+// Writes that fail because the backend is unreachable are stored in IndexedDB and
+// replayed strictly in the order they were made once the connection comes back.
+// Features register a handler per entry kind with registerOutboxHandler() and hear about
+// entries dropped after a server error through the 'outbox:discarded' event.
+
+const OUTBOX_DB_NAME = 'aichallenge-outbox';
+const OUTBOX_STORE = 'requests';
+const OUTBOX_REPLAY_INTERVAL_MS = 30000;
+
+const outboxHandlers = {};
+// Synchronous copy of the queue for rendering pending state
+let outboxEntries = [];
+let outboxConflicts = [];
+let outboxReplaying = false;
+let outboxDbPromise = null;
+
+// Thrown by handlers when the server state no longer matches what the user saw
+class OutboxConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OutboxConflictError';
+    }
+}
+
+function openOutboxDb() {
+    if (!outboxDbPromise) {
+        outboxDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(OUTBOX_STORE, {keyPath: 'id', autoIncrement: true});
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return outboxDbPromise;
+}
+
+async function outboxStoreRequest(mode, operation) {
+    const db = await openOutboxDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE, mode);
+        const request = operation(transaction.objectStore(OUTBOX_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+async function getOutboxEntries() {
+    const entries = await outboxStoreRequest('readonly', store => store.getAll());
+    return entries.sort((a, b) => a.id - b.id);
+}
+
+// entry: {kind, label, body, ...handler specific fields}; returns the outbox id
+async function enqueueOutbox(entry) {
+    const id = await outboxStoreRequest('readwrite', store => store.add({...entry, createdAt: new Date().toISOString()}));
+    await refreshOutboxState();
+    return id;
+}
+
+async function removeOutboxEntry(id) {
+    await outboxStoreRequest('readwrite', store => store.delete(id));
+}
+
+function registerOutboxHandler(kind, handler) {
+    outboxHandlers[kind] = handler;
+}
+
+// Only a missing connection queues a write; server errors are reported as usual
+function isOfflineError(error) {
+    return !navigator.onLine || (error instanceof ApiError && error.kind === 'network');
+}
+
+async function replayOutbox() {
+    if (outboxReplaying || !navigator.onLine) return;
+    outboxReplaying = true;
+
+    try {
+        for (const entry of await getOutboxEntries()) {
+            const handler = outboxHandlers[entry.kind];
+            if (!handler) continue;
+
+            try {
+                await handler(entry);
+            } catch (error) {
+                // Still offline: keep this entry and everything after it in order
+                if (isOfflineError(error)) break;
+
+                if (error instanceof OutboxConflictError) {
+                    outboxConflicts.push({label: entry.label, message: error.message, at: new Date().toISOString()});
+                    showNotification(`⚠️ Конфликт: ${entry.label} — ${error.message}`, 'error');
+                } else {
+                    reportApiError(error, `Не отправлено и удалено из очереди: ${entry.label}`);
+                }
+                // Lets features mark the item that was waiting for this entry as failed
+                document.dispatchEvent(new CustomEvent('outbox:discarded', {detail: entry}));
+            }
+
+            await removeOutboxEntry(entry.id);
+            await refreshOutboxState();
+        }
+    } finally {
+        outboxReplaying = false;
+        await refreshOutboxState();
+    }
+}
+
+async function refreshOutboxState() {
+    try {
+        outboxEntries = await getOutboxEntries();
+    } catch (error) {
+        console.error('Outbox is unavailable:', error);
+        outboxEntries = [];
+    }
+    renderOutboxIndicator();
+    document.dispatchEvent(new CustomEvent('outbox:changed'));
+}
+
+function renderOutboxIndicator() {
+    let indicator = document.getElementById('outbox-indicator');
+    if (!indicator) {
+        indicator = document.createElement('div');
+        indicator.id = 'outbox-indicator';
+        indicator.className = 'hidden fixed bottom-4 left-4 z-50 max-w-sm';
+        indicator.innerHTML = `
+            <div class="hidden bg-white rounded-xl shadow-xl border border-gray-200 p-4 mb-2 text-sm" data-outbox-panel></div>
+            <button type="button" class="bg-amber-500 hover:bg-amber-600 text-white px-4 py-2 rounded-full shadow-lg text-sm font-bold"
+                    data-outbox-toggle></button>
+        `;
+        indicator.querySelector('[data-outbox-toggle]').addEventListener('click', () => {
+            indicator.querySelector('[data-outbox-panel]').classList.toggle('hidden');
+        });
+        document.body.appendChild(indicator);
+    }
+
+    const total = outboxEntries.length + outboxConflicts.length;
+    indicator.classList.toggle('hidden', total === 0);
+    if (total === 0) return;
+
+    const toggle = indicator.querySelector('[data-outbox-toggle]');
+    toggle.textContent = outboxEntries.length > 0
+        ? `📤 В очереди: ${outboxEntries.length}${navigator.onLine ? '' : ' · офлайн'}`
+        : `⚠️ Конфликты: ${outboxConflicts.length}`;
+
+    const panel = indicator.querySelector('[data-outbox-panel]');
+    panel.innerHTML = `
+        ${outboxEntries.length > 0 ? `
+            <div class="font-semibold text-gray-800 mb-2">⏳ Ожидают отправки</div>
+            <ul class="space-y-1 mb-3 text-gray-600">
+                ${outboxEntries.map(entry => `
+                    <li>${new Date(entry.createdAt).toLocaleTimeString('ru-RU')} · ${escapeOutboxText(entry.label)}</li>
+                `).join('')}
+            </ul>
+            <button type="button" class="text-blue-600 hover:underline text-xs" onclick="replayOutbox()">Отправить сейчас</button>
+        ` : ''}
+        ${outboxConflicts.length > 0 ? `
+            <div class="font-semibold text-red-700 mt-3 mb-2">⚠️ Конфликты</div>
+            <ul class="space-y-1 mb-2 text-gray-600">
+                ${outboxConflicts.map(conflict => `
+                    <li><strong>${escapeOutboxText(conflict.label)}</strong>: ${escapeOutboxText(conflict.message)}</li>
+                `).join('')}
+            </ul>
+            <button type="button" class="text-blue-600 hover:underline text-xs" onclick="clearOutboxConflicts()">Скрыть</button>
+        ` : ''}
+    `;
+}
+
+function clearOutboxConflicts() {
+    outboxConflicts = [];
+    renderOutboxIndicator();
+}
+
+function escapeOutboxText(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+window.addEventListener('online', () => replayOutbox());
+window.addEventListener('offline', () => renderOutboxIndicator());
+setInterval(() => {
+    if (outboxEntries.length > 0) replayOutbox();
+}, OUTBOX_REPLAY_INTERVAL_MS);
@@ -0,0 +1,158 @@
+// Pricing registry for every tab that shows token counts (loaded before script.js).
+// Rates are per million tokens, one entry per model ID; the table lives in localStorage
+// and is edited in the "Цены моделей" settings panel. Spend is summed per session and currency.
+
+const PRICING_STORAGE_KEY = 'pricingRegistry';
+const SPEND_STORAGE_KEY = 'sessionSpend';
+
+// Model behind the training chat, reasoning chat and orchestration (AnthropicClient)
+const DEFAULT_CHAT_MODEL = 'claude-3-5-haiku-20241022';
+
+const DEFAULT_PRICING = {
+    'claude-3-5-haiku-20241022': {input: 0.80, output: 4.00, cachedInput: 0.08, currency: 'USD'},
+    'meta-llama/Llama-3.2-3B-Instruct': {input: 0, output: 0, cachedInput: 0, currency: 'USD'},
+    'Qwen/Qwen2.5-72B-Instruct': {input: 0, output: 0, cachedInput: 0, currency: 'USD'},
+    'Sao10K/L3-8B-Lunaris-v1': {input: 0, output: 0, cachedInput: 0, currency: 'USD'}
+};
+
+const CURRENCY_SYMBOLS = {USD: '$', EUR: '€', RUB: '₽'};
+
+function getPricingRegistry() {
+    const stored = localStorage.getItem(PRICING_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {...DEFAULT_PRICING};
+}
+
+function savePricingRegistry(registry) {
+    localStorage.setItem(PRICING_STORAGE_KEY, JSON.stringify(registry));
+}
+
+// Returns {amount, currency}, or null when the model has no price in the registry
+function estimateCost(modelId, inputTokens, outputTokens, cachedTokens = 0) {
+    const pricing = getPricingRegistry()[modelId];
+    if (!pricing) return null;
+
+    const amount = ((inputTokens || 0) - (cachedTokens || 0)) / 1000000 * pricing.input
+        + (cachedTokens || 0) / 1000000 * (pricing.cachedInput ?? pricing.input)
+        + (outputTokens || 0) / 1000000 * pricing.output;
+    return {amount, currency: pricing.currency || 'USD'};
+}
+
+function formatCost(cost, digits = 6) {
+    if (!cost) return '—';
+    const symbol = CURRENCY_SYMBOLS[cost.currency];
+    const value = cost.amount.toFixed(digits);
+    return symbol === '$' || symbol === '€' ? `${symbol}${value}` : `${value} ${symbol || cost.currency}`;
+}
+
+function getSessionSpend(sessionKey) {
+    return JSON.parse(localStorage.getItem(SPEND_STORAGE_KEY) || '{}')[sessionKey] || {};
+}
+
+function recordSessionSpend(sessionKey, cost) {
+    if (!cost || cost.amount === 0) return;
+
+    const all = JSON.parse(localStorage.getItem(SPEND_STORAGE_KEY) || '{}');
+    const spend = all[sessionKey] || {};
+    spend[cost.currency] = (spend[cost.currency] || 0) + cost.amount;
+    all[sessionKey] = spend;
+    localStorage.setItem(SPEND_STORAGE_KEY, JSON.stringify(all));
+}
+
+function clearSessionSpend(sessionKey) {
+    const all = JSON.parse(localStorage.getItem(SPEND_STORAGE_KEY) || '{}');
+    delete all[sessionKey];
+    localStorage.setItem(SPEND_STORAGE_KEY, JSON.stringify(all));
+}
+
+function formatSessionSpend(sessionKey) {
+    const entries = Object.entries(getSessionSpend(sessionKey));
+    if (entries.length === 0) return formatCost({amount: 0, currency: 'USD'}, 4);
+    return entries.map(([currency, amount]) => formatCost({amount, currency}, 4)).join(' + ');
+}
+
+function renderSessionSpend(elementId, sessionKey, label = 'Потрачено в диалоге') {
+    const element = document.getElementById(elementId);
+    if (element) {
+        element.textContent = `💵 ${label}: ${formatSessionSpend(sessionKey)}`;
+    }
+}
+
+// ============= SETTINGS PANEL =============
+
+function openPricingSettings() {
+    renderPricingTable(getPricingRegistry());
+    document.getElementById('pricing-modal')?.classList.remove('hidden');
+}
+
+function closePricingSettings() {
+    document.getElementById('pricing-modal')?.classList.add('hidden');
+}
+
+function renderPricingTable(registry) {
+    const body = document.getElementById('pricing-table-body');
+    if (!body) return;
+
+    body.innerHTML = '';
+    Object.entries(registry).forEach(([modelId, pricing]) => addPricingRow(modelId, pricing));
+}
+
+function addPricingRow(modelId = '', pricing = {input: 0, output: 0, cachedInput: 0, currency: 'USD'}) {
+    const body = document.getElementById('pricing-table-body');
+    const row = document.createElement('tr');
+    row.className = 'border-t border-gray-200';
+    row.innerHTML = `
+        <td class="py-2 pr-2"><input class="w-full px-2 py-1 border border-gray-300 rounded text-sm" data-field="modelId" placeholder="model-id"></td>
+        <td class="py-2 pr-2"><input class="w-24 px-2 py-1 border border-gray-300 rounded text-sm" data-field="input" min="0" step="0.01" type="number"></td>
+        <td class="py-2 pr-2"><input class="w-24 px-2 py-1 border border-gray-300 rounded text-sm" data-field="output" min="0" step="0.01" type="number"></td>
+        <td class="py-2 pr-2"><input class="w-24 px-2 py-1 border border-gray-300 rounded text-sm" data-field="cachedInput" min="0" step="0.01" type="number"></td>
+        <td class="py-2 pr-2">
+            <select class="px-2 py-1 border border-gray-300 rounded text-sm" data-field="currency">
+                ${Object.keys(CURRENCY_SYMBOLS).map(currency => `<option value="${currency}">${currency}</option>`).join('')}
+            </select>
+        </td>
+        <td class="py-2 text-right">
+            <button class="text-red-500 hover:text-red-700" onclick="this.closest('tr').remove()" title="Удалить" type="button">✕</button>
+        </td>
+    `;
+    row.querySelector('[data-field="modelId"]').value = modelId;
+    row.querySelector('[data-field="input"]').value = pricing.input;
+    row.querySelector('[data-field="output"]').value = pricing.output;
+    row.querySelector('[data-field="cachedInput"]').value = pricing.cachedInput ?? pricing.input;
+    row.querySelector('[data-field="currency"]').value = pricing.currency || 'USD';
+    body.appendChild(row);
+}
+
+function savePricingSettings() {
+    const registry = {};
+    const rows = document.querySelectorAll('#pricing-table-body tr');
+
+    for (const row of rows) {
+        const modelId = row.querySelector('[data-field="modelId"]').value.trim();
+        if (!modelId) continue;
+
+        const rates = ['input', 'output', 'cachedInput'].map(field => parseFloat(row.querySelector(`[data-field="${field}"]`).value));
+        if (rates.some(rate => isNaN(rate) || rate < 0)) {
+            showNotification(`❌ Некорректная цена для ${modelId}`, 'error');
+            return;
+        }
+        if (registry[modelId]) {
+            showNotification(`❌ Модель ${modelId} указана дважды`, 'error');
+            return;
+        }
+
+        registry[modelId] = {
+            input: rates[0],
+            output: rates[1],
+            cachedInput: rates[2],
+            currency: row.querySelector('[data-field="currency"]').value
+        };
+    }
+
+    savePricingRegistry(registry);
+    closePricingSettings();
+    showNotification('✅ Цены сохранены', 'success');
+}
+
+function resetPricingSettings() {
+    renderPricingTable(DEFAULT_PRICING);
+}
@@ -25,6 +25,9 @@ let remainingMessages = 10;
 let currentCoachStyle = 'default';
 let maxContextTokens = null;
 
+// Turns of the current training session, kept for export (server history has no token counts)
+let chatTranscript = [];
+
 function loadCoachStyle() {
     const saved = localStorage.getItem('coachStyle');
     if (saved) {
@@ -122,16 +125,44 @@ function getAllSessions() {
     return JSON.parse(localStorage.getItem('sessions') || '[]');
 }
 
-function switchSession(sessionId) {
-    localStorage.setItem('currentSessionId', sessionId);
-    location.reload();
+function switchSession(newSessionId) {
+    localStorage.setItem('currentSessionId', newSessionId);
+    sessionId = newSessionId;
+    resetChatView();
+    loadChatHistory(sessionId);
+
+    if (sessionsModal) {
+        sessionsModal.classList.add('hidden');
+    }
 }
 
 function createNewSession() {
     const newSessionId = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    localStorage.setItem('currentSessionId', newSessionId);
     addSessionToList(newSessionId);
-    location.reload();
+    switchSession(newSessionId);
+}
+
+// Bring the training chat back to its initial state; other tabs keep their own state
+function resetChatView() {
+    while (messagesContainer.children.length > 1) {
+        messagesContainer.removeChild(messagesContainer.lastChild);
+    }
+    chatTranscript = [];
+    hideLoading();
+
+    remainingMessages = 10;
+    updateMessageCounter();
+    limitModal.classList.add('hidden');
+    userInput.disabled = false;
+    userInput.placeholder = defaultChatPlaceholder;
+    userInput.value = '';
+    renderSessionSpend('training-session-spend', sessionId);
+
+    contextUsed.textContent = '0';
+    contextBar.style.width = '0%';
+    contextBar.classList.remove('bg-orange-500', 'bg-red-500');
+    contextBar.classList.add('bg-blue-500');
+    contextProgress.classList.toggle('hidden', !maxContextTokens);
 }
 
 function deleteSession(sessionId) {
@@ -139,6 +170,14 @@ function deleteSession(sessionId) {
     sessions = sessions.filter(s => s !== sessionId);
     localStorage.setItem('sessions', JSON.stringify(sessions));
 
+    const imported = JSON.parse(localStorage.getItem('importedTranscripts') || '{}');
+    if (imported[sessionId]) {
+        delete imported[sessionId];
+        localStorage.setItem('importedTranscripts', JSON.stringify(imported));
+    }
+    localStorage.removeItem(`planProgress_${sessionId}`);
+    clearSessionSpend(sessionId);
+
     if (localStorage.getItem('currentSessionId') === sessionId) {
         if (sessions.length > 0) {
             switchSession(sessions[0]);
@@ -205,55 +244,108 @@ document.addEventListener('keydown', (e) => {
     }
 });
 
-marked.setOptions({
-    breaks: true,
-    gfm: true
-});
-
 chatForm.addEventListener('submit', async (e) => {
     e.preventDefault();
     const message = userInput.value.trim();
-    if (!message) return;
+    if (!message || getImportedTranscript(sessionId)) return;
 
-    addMessage('user', message);
+    const userWrapper = addMessage('user', message);
+    const userEntry = {role: 'user', content: message, timestamp: new Date().toISOString()};
     userInput.value = '';
+
+    // Earlier messages still wait in the outbox: queue this one behind them to keep the order
+    if (outboxEntries.some(entry => entry.kind === 'chat')) {
+        await queueChatMessage(userWrapper, message);
+        return;
+    }
+
     userInput.disabled = true;
     showLoading();
 
+    let bubble = null;
+    const startedAt = performance.now();
+    // The user may switch sessions while the answer streams; it then belongs to the old one only
+    const requestSessionId = sessionId;
+    const isStillOpen = () => sessionId === requestSessionId;
+
     try {
-        const response = await fetch('/chat', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                message,
-                sessionId,
-                coachStyle: currentCoachStyle,
-                maxContextTokens: maxContextTokens
-            })
+        const response = await apiPost('/chat/stream', {
+            message,
+            sessionId: requestSessionId,
+            coachStyle: currentCoachStyle,
+            maxContextTokens: maxContextTokens
+        }, {stream: true, timeout: 60000});
+
+        let data = null;
+        await readChatStream(response, (event) => {
+            if (event.type === 'delta' || event.type === 'tool') {
+                if (!isStillOpen()) return;
+                if (!bubble) {
+                    hideLoading();
+                    bubble = addStreamingMessage();
+                }
+                if (event.type === 'delta') {
+                    updateStreamingMessage(bubble, event.text);
+                } else {
+                    showStreamingToolStatus(bubble, event.tool);
+                }
+            } else if (event.type === 'done') {
+                data = event.response;
+            } else if (event.type === 'error') {
+                throw new Error(event.text);
+            }
         });
 
-        if (!response.ok) {
-            throw new Error('Ошибка сервера');
+        if (!data) {
+            throw new Error('Поток ответа прервался');
         }
 
-        const data = await response.json();
+        const isLimitReply = data.response === 'LIMIT_EXCEEDED' || data.response === 'CONTEXT_LIMIT_EXCEEDED';
+        if (!isLimitReply) {
+            recordUsage({
+                tab: 'training',
+                model: DEFAULT_CHAT_MODEL,
+                sessionKey: requestSessionId,
+                inputTokens: data.inputTokens,
+                outputTokens: data.outputTokens,
+                latencyMs: performance.now() - startedAt
+            });
+        }
+        // The server already keeps the turn in the old session's history
+        if (!isStillOpen()) return;
         hideLoading();
 
         if (data.response === 'LIMIT_EXCEEDED') {
+            bubble?.wrapper.remove();
             showLimitModal();
             userInput.disabled = true;
             return;
         }
 
         if (data.response === 'CONTEXT_LIMIT_EXCEEDED') {
+            bubble?.wrapper.remove();
             addMessage('assistant', `⚠️ Достигнут лимит контекста в ${data.totalInputTokens} токенов! Начните новый диалог или увеличьте лимит.`);
             userInput.disabled = true;
             return;
         }
 
-        addMessage('assistant', data.response, data.structuredResponse, data.inputTokens, data.outputTokens);
+        let answerWrapper;
+        if (bubble) {
+            finalizeStreamingMessage(bubble, data);
+            answerWrapper = bubble.wrapper;
+        } else {
+            answerWrapper = addMessage('assistant', data.response, data.structuredResponse, data.inputTokens, data.outputTokens);
+        }
+        confirmChatTurn(userWrapper, userEntry, answerWrapper, {
+            role: 'assistant',
+            content: data.response,
+            structuredResponse: data.structuredResponse || null,
+            inputTokens: data.inputTokens ?? null,
+            outputTokens: data.outputTokens ?? null,
+            answerTimestamp: data.structuredResponse?.answerTimestamp || null,
+            timestamp: new Date().toISOString()
+        });
+        renderSessionSpend('training-session-spend', sessionId);
 
         if (data.remainingMessages !== undefined && data.remainingMessages !== null) {
             remainingMessages = data.remainingMessages;
@@ -270,11 +362,22 @@ chatForm.addEventListener('submit', async (e) => {
         }
 
     } catch (error) {
-        hideLoading();
-        addMessage('assistant', 'Извините, произошла ошибка. Попробуйте снова.');
-        console.error('Error:', error);
+        if (isOfflineError(error)) {
+            if (isStillOpen()) {
+                hideLoading();
+                bubble?.wrapper.remove();
+            }
+            await queueChatMessage(userWrapper, message, requestSessionId);
+            return;
+        }
+        if (isStillOpen()) {
+            hideLoading();
+            bubble?.wrapper.remove();
+            addMessage('assistant', 'Извините, произошла ошибка. Попробуйте снова.');
+        }
+        reportApiError(error, 'Ошибка чата');
     } finally {
-        if (remainingMessages > 0) {
+        if (isStillOpen() && remainingMessages > 0) {
             userInput.disabled = false;
             userInput.focus();
         }
@@ -314,7 +417,99 @@ function updateMessageCounter() {
     } else if (remainingMessages <= 5) {
         messageCounterEl.style.background = 'linear-gradient(135deg, #f59e0b 0%, #d97706 100%)';
         messageCounterEl.style.boxShadow = '0 4px 15px rgba(245, 158, 11, 0.4), inset 0 1px 1px rgba(255, 255, 255, 0.2)';
+    } else {
+        messageCounterEl.style.background = '';
+        messageCounterEl.style.boxShadow = '';
+    }
+}
+
+async function queueChatMessage(userWrapper, message, targetSessionId = sessionId) {
+    const outboxId = await enqueueOutbox({
+        kind: 'chat',
+        label: `Сообщение тренеру «${truncateText(message, 40)}»`,
+        body: {message, sessionId: targetSessionId, coachStyle: currentCoachStyle, maxContextTokens}
+    });
+    markMessagePending(userWrapper, outboxId);
+}
+
+function markMessagePending(messageWrapper, outboxId) {
+    messageWrapper.dataset.outboxId = outboxId;
+    const badge = document.createElement('div');
+    badge.className = 'outbox-pending text-xs text-amber-500 mt-1';
+    badge.textContent = '⏳ Нет связи — отправится автоматически';
+    messageWrapper.querySelector('.user-message').after(badge);
+}
+
+// Queued chat messages are sent with the non-streaming endpoint; the answer is shown
+// only if the user is still in that session, otherwise it is just saved in its history
+registerOutboxHandler('chat', async (entry) => {
+    const startedAt = performance.now();
+    const data = await apiPost('/chat', entry.body, {timeout: 120000});
+
+    // The server did not take the message: same handling as a live send, but the bubble stays marked
+    if (data.response === 'LIMIT_EXCEEDED' || data.response === 'CONTEXT_LIMIT_EXCEEDED') {
+        if (entry.body.sessionId !== sessionId) return;
+
+        markMessageNotSent(messagesContainer.querySelector(`[data-outbox-id="${entry.id}"]`),
+            data.response === 'LIMIT_EXCEEDED' ? '❌ Не отправлено — лимит сообщений исчерпан' : '❌ Не отправлено — лимит контекста');
+        if (data.response === 'LIMIT_EXCEEDED') {
+            showLimitModal();
+        } else {
+            addMessage('assistant', `⚠️ Достигнут лимит контекста в ${data.totalInputTokens} токенов! Начните новый диалог или увеличьте лимит.`);
+        }
+        userInput.disabled = true;
+        return;
+    }
+
+    recordUsage({
+        tab: 'training',
+        model: DEFAULT_CHAT_MODEL,
+        sessionKey: entry.body.sessionId,
+        inputTokens: data.inputTokens,
+        outputTokens: data.outputTokens,
+        latencyMs: performance.now() - startedAt
+    });
+    if (entry.body.sessionId !== sessionId) return;
+
+    const pendingWrapper = messagesContainer.querySelector(`[data-outbox-id="${entry.id}"]`);
+    if (!pendingWrapper) {
+        // The page was reloaded while the message waited; the history now has both turns
+        await loadChatHistory(sessionId);
+        return;
     }
+    pendingWrapper.querySelector('.outbox-pending')?.remove();
+    delete pendingWrapper.dataset.outboxId;
+
+    const answerWrapper = addMessage('assistant', data.response, data.structuredResponse, data.inputTokens, data.outputTokens);
+    confirmChatTurn(pendingWrapper, {role: 'user', content: entry.body.message, timestamp: entry.createdAt}, answerWrapper, {
+        role: 'assistant',
+        content: data.response,
+        structuredResponse: data.structuredResponse || null,
+        inputTokens: data.inputTokens ?? null,
+        outputTokens: data.outputTokens ?? null,
+        answerTimestamp: data.structuredResponse?.answerTimestamp || null,
+        timestamp: new Date().toISOString()
+    });
+    renderSessionSpend('training-session-spend', sessionId);
+
+    if (data.remainingMessages !== undefined && data.remainingMessages !== null) {
+        remainingMessages = data.remainingMessages;
+        updateMessageCounter();
+    }
+});
+
+document.addEventListener('outbox:discarded', (event) => {
+    markMessageNotSent(messagesContainer.querySelector(`[data-outbox-id="${event.detail.id}"]`),
+        '❌ Не отправлено — сообщение удалено из очереди');
+});
+
+function markMessageNotSent(messageWrapper, text) {
+    const badge = messageWrapper?.querySelector('.outbox-pending');
+    if (!badge) return;
+
+    badge.className = 'outbox-pending text-xs text-red-500 mt-1';
+    badge.textContent = text;
+    delete messageWrapper.dataset.outboxId;
 }
 
 function showLimitModal() {
@@ -325,81 +520,369 @@ function addMessage(role, content, structuredResponse = null, inputTokens = null
     const messageWrapper = document.createElement('div');
     messageWrapper.className = `message ${role === 'user' ? 'flex justify-end' : ''}`;
 
+    messageWrapper.dataset.role = role;
+
     if (role === 'user') {
+        const column = document.createElement('div');
+        column.className = 'flex flex-col items-end max-w-3xl';
         const messageDiv = document.createElement('div');
-        messageDiv.className = 'user-message p-4 rounded-2xl rounded-tr-none max-w-3xl text-white font-medium';
+        messageDiv.className = 'user-message p-4 rounded-2xl rounded-tr-none text-white font-medium';
         messageDiv.textContent = content;
-        messageWrapper.appendChild(messageDiv);
+        column.appendChild(messageDiv);
+        column.appendChild(createMessageActions(messageWrapper, role));
+        messageWrapper.appendChild(column);
     } else {
-        const flexContainer = document.createElement('div');
-        flexContainer.className = 'flex items-start space-x-4';
+        const messageDiv = createAssistantBubble(messageWrapper);
+        renderAssistantContent(messageDiv, content, structuredResponse, inputTokens, outputTokens);
+        messageDiv.parentElement.appendChild(createMessageActions(messageWrapper, role));
+    }
 
-        const avatar = document.createElement('div');
-        avatar.className = 'avatar rounded-full w-10 h-10 flex items-center justify-center flex-shrink-0 font-bold text-sm text-white';
-        avatar.textContent = 'AI';
+    messagesContainer.appendChild(messageWrapper);
+    updateMessageActions();
+    scrollToBottom();
+    return messageWrapper;
+}
 
-        const contentWrapper = document.createElement('div');
-        contentWrapper.className = 'flex-1 max-w-4xl';
+// Per-message actions: edit & resend (user), regenerate (last assistant reply), fork (any message)
+function createMessageActions(messageWrapper, role) {
+    const actions = document.createElement('div');
+    actions.className = 'message-actions flex gap-3 mt-1 text-xs text-gray-400';
+
+    const buttons = role === 'user'
+        ? [['edit', '✏️ Изменить'], ['fork', '🔀 Ветка']]
+        : [['regenerate', '🔄 Повторить'], ['fork', '🔀 Ветка']];
+
+    buttons.forEach(([action, label]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'hover:text-blue-500 transition-colors';
+        button.dataset.action = action;
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            if (userInput.disabled || getMessageTurn(messageWrapper) < 0) return;
+            if (action === 'edit') startEditMessage(messageWrapper);
+            if (action === 'regenerate') regenerateReply(messageWrapper);
+            if (action === 'fork') forkFromMessage(messageWrapper);
+        });
+        actions.appendChild(button);
+    });
 
-        const label = document.createElement('p');
-        label.className = 'font-bold text-sm text-blue-400 mb-2';
-        label.textContent = 'Виртуальный тренер';
+    return actions;
+}
 
-        const messageDiv = document.createElement('div');
-        messageDiv.className = 'assistant-message p-5 rounded-2xl rounded-tl-none';
+// Messages the server has not saved (limit replies, errors, queued messages) get no actions;
+// only the last saved assistant reply can be regenerated
+function updateMessageActions() {
+    messagesContainer.querySelectorAll('[data-role]:not([data-turn]) .message-actions').forEach(actions => {
+        actions.classList.add('hidden');
+    });
+    const buttons = messagesContainer.querySelectorAll('[data-turn] [data-action="regenerate"]');
+    buttons.forEach((button, index) => {
+        button.classList.toggle('hidden', index !== buttons.length - 1);
+    });
+}
+
+// The server has saved the turn: its messages join chatTranscript and get the turn index
+// that /chat/truncate and /chat/fork count in
+function confirmChatTurn(userWrapper, userEntry, answerWrapper, answerEntry) {
+    const turn = chatTranscript.filter(entry => entry.role === 'user').length;
+    chatTranscript.push(userEntry, answerEntry);
+    [userWrapper, answerWrapper].forEach(wrapper => {
+        wrapper.dataset.turn = turn;
+        wrapper.querySelector('.message-actions')?.classList.remove('hidden');
+    });
+    updateMessageActions();
+}
+
+// Index of the saved turn a rendered message belongs to, -1 for messages that were never saved
+function getMessageTurn(messageWrapper) {
+    return messageWrapper.dataset.turn === undefined ? -1 : Number(messageWrapper.dataset.turn);
+}
+
+// Position in chatTranscript where the given turn starts
+function getTranscriptIndexOfTurn(turn) {
+    let userCount = 0;
+    for (let i = 0; i < chatTranscript.length; i++) {
+        if (chatTranscript[i].role === 'user') {
+            if (userCount === turn) return i;
+            userCount++;
+        }
+    }
+    return chatTranscript.length;
+}
+
+function startEditMessage(messageWrapper) {
+    const messageDiv = messageWrapper.querySelector('.user-message');
+    const actions = messageWrapper.querySelector('.message-actions');
+    const originalText = messageDiv.textContent;
+
+    const editor = document.createElement('div');
+    editor.className = 'w-full flex flex-col items-end gap-2';
+    editor.innerHTML = `
+        <textarea class="w-full min-w-[320px] p-3 rounded-xl border-2 border-blue-400 text-gray-800 focus:outline-none" rows="3"></textarea>
+        <div class="flex gap-2 text-sm">
+            <button type="button" class="px-3 py-1 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300" data-edit="cancel">Отмена</button>
+            <button type="button" class="px-3 py-1 rounded-lg bg-blue-500 text-white hover:bg-blue-600" data-edit="send">Отправить заново</button>
+        </div>
+    `;
+    const textarea = editor.querySelector('textarea');
+    textarea.value = originalText;
+
+    messageDiv.classList.add('hidden');
+    actions.classList.add('hidden');
+    messageDiv.parentElement.insertBefore(editor, messageDiv);
+    textarea.focus();
+
+    editor.querySelector('[data-edit="cancel"]').addEventListener('click', () => {
+        editor.remove();
+        messageDiv.classList.remove('hidden');
+        actions.classList.remove('hidden');
+    });
+
+    editor.querySelector('[data-edit="send"]').addEventListener('click', () => {
+        const newText = textarea.value.trim();
+        if (!newText) return;
+        resendFromTurn(getMessageTurn(messageWrapper), newText);
+    });
+}
+
+function regenerateReply(messageWrapper) {
+    const turn = getMessageTurn(messageWrapper);
+    const userEntry = chatTranscript[getTranscriptIndexOfTurn(turn)];
+    if (turn < 0 || !userEntry) return;
+    resendFromTurn(turn, userEntry.content);
+}
 
-        if (structuredResponse) {
-            messageDiv.innerHTML = formatStructuredResponse(structuredResponse);
+// Drop the given turn and everything after it (on the server and on screen), then send the text again
+async function resendFromTurn(turn, text) {
+    if (getImportedTranscript(sessionId)) {
+        showNotification('Импортированный диалог доступен только для просмотра', 'error');
+        return;
+    }
+
+    try {
+        await apiPost('/chat/truncate', {sessionId, keepTurns: turn});
+    } catch (error) {
+        reportApiError(error, 'Не удалось изменить историю диалога');
+        return;
+    }
+
+    const firstRemoved = messagesContainer.querySelector(`[data-role="user"][data-turn="${turn}"]`);
+    if (firstRemoved) {
+        while (firstRemoved.nextSibling) {
+            firstRemoved.nextSibling.remove();
+        }
+        firstRemoved.remove();
+    }
+    chatTranscript = chatTranscript.slice(0, getTranscriptIndexOfTurn(turn));
+    updateMessageActions();
+
+    userInput.disabled = false;
+    userInput.value = text;
+    chatForm.requestSubmit();
+}
+
+// Copy the history up to this message into a new session; forking from a user message
+// leaves that message in the input so it can be rephrased
+async function forkFromMessage(messageWrapper) {
+    const turn = getMessageTurn(messageWrapper);
+    const isUser = messageWrapper.dataset.role === 'user';
+    const keepTurns = isUser ? turn : turn + 1;
+    const draft = isUser ? chatTranscript[getTranscriptIndexOfTurn(turn)]?.content || '' : '';
+    const newSessionId = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+    try {
+        if (getImportedTranscript(sessionId)) {
+            const imported = JSON.parse(localStorage.getItem('importedTranscripts') || '{}');
+            imported[newSessionId] = chatTranscript.slice(0, getTranscriptIndexOfTurn(keepTurns));
+            localStorage.setItem('importedTranscripts', JSON.stringify(imported));
         } else {
-            try {
-                const jsonContent = JSON.parse(content);
-                if (jsonContent.answer) {
-                    messageDiv.innerHTML = formatStructuredResponse(jsonContent);
-                } else {
-                    messageDiv.innerHTML = formatJSON(jsonContent);
-                }
-            } catch {
-                const markdownDiv = document.createElement('div');
-                markdownDiv.className = 'markdown-content';
-                markdownDiv.innerHTML = marked.parse(content);
-                messageDiv.appendChild(markdownDiv);
-            }
+            await apiPost('/chat/fork', {sessionId, newSessionId, keepTurns});
         }
+    } catch (error) {
+        reportApiError(error, 'Не удалось создать ветку диалога');
+        return;
+    }
 
-        if (inputTokens !== null && outputTokens !== null) {
-            const tokenInfo = document.createElement('div');
-            tokenInfo.className = 'mt-3 pt-3 border-t border-gray-200 flex items-center gap-4 text-xs text-gray-500';
-            const totalTokens = inputTokens + outputTokens;
-            const costPer1M = 0.80;
-            const cost = ((inputTokens / 1000000) * costPer1M + (outputTokens / 1000000) * (costPer1M * 5)).toFixed(6);
-            tokenInfo.innerHTML = `
-                <span class="flex items-center gap-1">
-                    <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4"></path>
-                    </svg>
-                    Вход: <strong>${inputTokens}</strong>
-                </span>
-                <span class="flex items-center gap-1">
-                    <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4"></path>
-                    </svg>
-                    Выход: <strong>${outputTokens}</strong>
-                </span>
-                <span>Всего: <strong>${totalTokens}</strong></span>
-                <span>Стоимость: <strong>$${cost}</strong></span>
-            `;
-            messageDiv.appendChild(tokenInfo);
+    addSessionToList(newSessionId);
+    switchSession(newSessionId);
+    userInput.value = draft;
+    showNotification('Создана новая ветка диалога', 'success');
+}
+
+function createAssistantBubble(messageWrapper) {
+    const flexContainer = document.createElement('div');
+    flexContainer.className = 'flex items-start space-x-4';
+
+    const avatar = document.createElement('div');
+    avatar.className = 'avatar rounded-full w-10 h-10 flex items-center justify-center flex-shrink-0 font-bold text-sm text-white';
+    avatar.textContent = 'AI';
+
+    const contentWrapper = document.createElement('div');
+    contentWrapper.className = 'flex-1 max-w-4xl';
+
+    const label = document.createElement('p');
+    label.className = 'font-bold text-sm text-blue-400 mb-2';
+    label.textContent = 'Виртуальный тренер';
+
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'assistant-message p-5 rounded-2xl rounded-tl-none';
+
+    contentWrapper.appendChild(label);
+    contentWrapper.appendChild(messageDiv);
+    flexContainer.appendChild(avatar);
+    flexContainer.appendChild(contentWrapper);
+    messageWrapper.appendChild(flexContainer);
+
+    return messageDiv;
+}
+
+function renderAssistantContent(messageDiv, content, structuredResponse = null, inputTokens = null, outputTokens = null) {
+    messageDiv.innerHTML = '';
+
+    if (structuredResponse) {
+        messageDiv.innerHTML = formatStructuredResponse(structuredResponse);
+    } else {
+        try {
+            const jsonContent = JSON.parse(content);
+            if (jsonContent.answer) {
+                messageDiv.innerHTML = formatStructuredResponse(jsonContent);
+            } else {
+                messageDiv.innerHTML = formatJSON(jsonContent);
+            }
+        } catch {
+            const markdownDiv = document.createElement('div');
+            markdownDiv.className = 'markdown-content';
+            markdownDiv.innerHTML = renderMarkdown(content);
+            messageDiv.appendChild(markdownDiv);
         }
+    }
 
-        contentWrapper.appendChild(label);
-        contentWrapper.appendChild(messageDiv);
-        flexContainer.appendChild(avatar);
-        flexContainer.appendChild(contentWrapper);
-        messageWrapper.appendChild(flexContainer);
+    if (inputTokens !== null && outputTokens !== null) {
+        const tokenInfo = document.createElement('div');
+        tokenInfo.className = 'mt-3 pt-3 border-t border-gray-200 flex items-center gap-4 text-xs text-gray-500';
+        const totalTokens = inputTokens + outputTokens;
+        const cost = formatCost(estimateCost(DEFAULT_CHAT_MODEL, inputTokens, outputTokens));
+        tokenInfo.innerHTML = `
+            <span class="flex items-center gap-1">
+                <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4"></path>
+                </svg>
+                Вход: <strong>${inputTokens}</strong>
+            </span>
+            <span class="flex items-center gap-1">
+                <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 16V4m0 0L3 8m4-4l4 4m6 0v12m0 0l4-4m-4 4l-4-4"></path>
+                </svg>
+                Выход: <strong>${outputTokens}</strong>
+            </span>
+            <span>Всего: <strong>${totalTokens}</strong></span>
+            <span>Стоимость: <strong>${cost}</strong></span>
+        `;
+        messageDiv.appendChild(tokenInfo);
     }
+}
+
+// Streaming: the bubble is created on submit and re-rendered on every delta,
+// then replaced with the full structured card once the "done" event arrives
+function addStreamingMessage() {
+    const messageWrapper = document.createElement('div');
+    messageWrapper.className = 'message';
+    messageWrapper.dataset.role = 'assistant';
+    const messageDiv = createAssistantBubble(messageWrapper);
+
+    const markdownDiv = document.createElement('div');
+    markdownDiv.className = 'markdown-content';
+    const statusDiv = document.createElement('div');
+    statusDiv.className = 'text-xs text-gray-400 mt-2 hidden';
+    messageDiv.appendChild(markdownDiv);
+    messageDiv.appendChild(statusDiv);
 
     messagesContainer.appendChild(messageWrapper);
     scrollToBottom();
+
+    return {wrapper: messageWrapper, messageDiv, markdownDiv, statusDiv, rawText: ''};
+}
+
+function updateStreamingMessage(bubble, delta) {
+    bubble.rawText += delta;
+    bubble.statusDiv.classList.add('hidden');
+    bubble.markdownDiv.innerHTML = renderMarkdown(extractStreamingAnswer(bubble.rawText));
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+}
+
+function showStreamingToolStatus(bubble, toolName) {
+    // Text before a tool call is an intermediate thought, the final answer comes after the tool results
+    bubble.rawText = '';
+    bubble.markdownDiv.innerHTML = '';
+    bubble.statusDiv.textContent = `🔧 Использую инструмент: ${toolName}...`;
+    bubble.statusDiv.classList.remove('hidden');
+}
+
+// The coach answers with a JSON object, so while it is incomplete we decode
+// only the "answer" string value and show it as markdown
+function extractStreamingAnswer(rawText) {
+    const text = rawText.trim().replace(/^```(?:json)?/, '').trimStart();
+    if (!text.startsWith('{')) {
+        return rawText;
+    }
+
+    const keyMatch = /"answer"\s*:\s*"/.exec(text);
+    if (!keyMatch) {
+        return '';
+    }
+
+    const escapes = {n: '\n', t: '\t', r: '', '"': '"', '\\': '\\', '/': '/', b: '', f: ''};
+    let answer = '';
+    for (let i = keyMatch.index + keyMatch[0].length; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') break;
+        if (char !== '\\') {
+            answer += char;
+            continue;
+        }
+        const next = text[i + 1];
+        if (next === undefined) break;
+        if (next === 'u') {
+            const hex = text.substr(i + 2, 4);
+            if (hex.length < 4) break;
+            answer += String.fromCharCode(parseInt(hex, 16));
+            i += 5;
+        } else {
+            answer += escapes[next] ?? next;
+            i++;
+        }
+    }
+    return answer;
+}
+
+function finalizeStreamingMessage(bubble, data) {
+    renderAssistantContent(bubble.messageDiv, data.response, data.structuredResponse, data.inputTokens, data.outputTokens);
+    bubble.messageDiv.parentElement.appendChild(createMessageActions(bubble.wrapper, 'assistant'));
+    updateMessageActions();
+    scrollToBottom();
+}
+
+async function readChatStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const {value, done} = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, {stream: true});
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        events.forEach(rawEvent => {
+            const dataLine = rawEvent.split('\n').find(line => line.startsWith('data:'));
+            if (dataLine) {
+                onEvent(JSON.parse(dataLine.substring(5).trim()));
+            }
+        });
+    }
 }
 
 function formatStructuredResponse(response) {
@@ -442,7 +925,7 @@ function formatStructuredResponse(response) {
 
     const markdownDiv = document.createElement('div');
     markdownDiv.className = 'markdown-content';
-    markdownDiv.innerHTML = marked.parse(answerText);
+    markdownDiv.innerHTML = renderMarkdown(answerText);
     html += markdownDiv.outerHTML;
 
     if (response.nextAction) {
@@ -466,38 +949,7 @@ function formatJSON(obj) {
 
     if (obj.week_1 || obj.week_2) {
         html += '<div class="space-y-4">';
-        for (let week = 1; week <= 4; week++) {
-            const weekKey = `week_${week}`;
-            if (obj[weekKey]) {
-                html += `<div class="bg-slate-900 bg-opacity-60 rounded-xl p-5 border border-blue-500 border-opacity-30 transition-all hover:border-opacity-50">`;
-                html += `<h3 class="font-bold text-blue-400 mb-4 text-lg flex items-center">
-                    <svg class="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
-                    </svg>
-                    Неделя ${week}
-                </h3>`;
-                html += '<div class="space-y-3 text-sm">';
-
-                const weekData = typeof obj[weekKey] === 'string' ? JSON.parse(obj[weekKey]) : obj[weekKey];
-                const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-                const daysRu = ['Понедельник', 'Вторник', 'Среда', 'Четверг', 'Пятница', 'Суббота', 'Воскресенье'];
-                const dayEmojis = ['💪', '🏃', '⚡', '🎯', '🔥', '🌟', '🏅'];
-
-                days.forEach((day, index) => {
-                    if (weekData[day]) {
-                        html += `<div class="flex items-start p-3 bg-slate-800 bg-opacity-40 rounded-lg hover:bg-opacity-60 transition-all">`;
-                        html += `<span class="text-xl mr-3">${dayEmojis[index]}</span>`;
-                        html += `<div class="flex-1">
-                            <div class="font-semibold text-blue-300 mb-1">${daysRu[index]}</div>
-                            <div class="text-slate-300 leading-relaxed">${weekData[day]}</div>
-                        </div>`;
-                        html += `</div>`;
-                    }
-                });
-
-                html += '</div></div>';
-            }
-        }
+        html += renderPlanCalendar(obj);
         if (obj.tips) {
             html += `<div class="mt-4 p-4 bg-blue-500 bg-opacity-10 rounded-xl border-l-4 border-blue-500">`;
             html += `<div class="flex items-start">
@@ -592,52 +1044,365 @@ function formatJSON(obj) {
     return html;
 }
 
-function showLoading() {
-    loadingIndicator.classList.remove('hidden');
-    scrollToBottom();
+// Training plan calendar: week_N plans become a 4 x 7 grid, each day can be marked
+// done/skipped and annotated; progress is stored per plan within the training session
+const PLAN_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const PLAN_DAYS_RU = ['Понедельник', 'Вторник', 'Среда', 'Четверг', 'Пятница', 'Суббота', 'Воскресенье'];
+const PLAN_DAYS_SHORT = ['Пн', 'Вт', 'Ср', 'Чт', 'Пт', 'Сб', 'Вс'];
+
+// Parsed plans by calendar id: {weeks, planKey}, used by the day detail panel
+const planCalendars = {};
+let planCalendarCounter = 0;
+
+// planProgress_<session> = {<plan key>: {<week>_<day>: {status, note}}}
+function getSessionPlanProgress() {
+    return JSON.parse(localStorage.getItem(`planProgress_${sessionId}`) || '{}');
 }
 
-function hideLoading() {
-    loadingIndicator.classList.add('hidden');
+function getPlanProgress(planKey) {
+    return getSessionPlanProgress()[planKey] || {};
 }
 
-function scrollToBottom() {
-    setTimeout(() => {
-        messagesContainer.scrollTop = messagesContainer.scrollHeight;
-    }, 100);
+function savePlanProgress(planKey, progress) {
+    const sessionProgress = getSessionPlanProgress();
+    if (Object.keys(progress).length > 0) {
+        sessionProgress[planKey] = progress;
+    } else {
+        delete sessionProgress[planKey];
+    }
+    localStorage.setItem(`planProgress_${sessionId}`, JSON.stringify(sessionProgress));
 }
 
-userInput.focus();
+// A revised plan is a new plan: the key is derived from the answer time and the plan days,
+// so the same answer rendered again (after a reload) keeps its marks
+function getPlanKey(obj, weeks) {
+    const text = JSON.stringify([obj.answerTimestamp || null, weeks]);
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) | 0;
+    }
+    return 'plan_' + (hash >>> 0).toString(36);
+}
 
-function addTypingEffect(element, text, speed = 20) {
-    return new Promise((resolve) => {
-        let i = 0;
-        element.textContent = '';
+function getPlanWeeks(obj) {
+    const weeks = [];
+    for (let week = 1; week <= 4; week++) {
+        const weekKey = `week_${week}`;
+        if (obj[weekKey]) {
+            weeks.push({week, days: typeof obj[weekKey] === 'string' ? JSON.parse(obj[weekKey]) : obj[weekKey]});
+        }
+    }
+    return weeks;
+}
 
-        const interval = setInterval(() => {
-            if (i < text.length) {
-                element.textContent += text.charAt(i);
-                i++;
-            } else {
-                clearInterval(interval);
-                resolve();
-            }
-        }, speed);
-    });
+function planDayCellClass(entry) {
+    const base = 'plan-day-cell text-left p-2 rounded-lg border transition-all min-h-[72px] w-full';
+    if (entry?.status === 'done') return `${base} bg-green-600 bg-opacity-30 border-green-400`;
+    if (entry?.status === 'skipped') return `${base} bg-slate-700 bg-opacity-60 border-slate-500 opacity-60 line-through`;
+    return `${base} bg-slate-800 bg-opacity-40 border-blue-500 border-opacity-20 hover:border-opacity-60`;
 }
 
-function addButtonClickEffect(button) {
-    button.style.transform = 'scale(0.95)';
-    setTimeout(() => {
-        button.style.transform = '';
-    }, 150);
+function planDayStatusIcon(entry) {
+    const icon = entry?.status === 'done' ? '✅' : entry?.status === 'skipped' ? '⏭️' : '';
+    return icon + (entry?.note ? ' 📝' : '');
 }
 
-quickPrompts.forEach(button => {
-    button.addEventListener('mousedown', () => {
-        addButtonClickEffect(button);
-    });
-});
+function renderPlanCalendar(obj) {
+    const calendarId = `plan-calendar-${++planCalendarCounter}`;
+    const weeks = getPlanWeeks(obj);
+    const planKey = getPlanKey(obj, weeks);
+    planCalendars[calendarId] = {weeks, planKey};
+
+    const progress = getPlanProgress(planKey);
+
+    let html = `<div class="bg-slate-900 bg-opacity-60 rounded-xl p-4 border border-blue-500 border-opacity-30" id="${calendarId}">`;
+    html += `<div class="flex items-center justify-between mb-3">
+        <h3 class="font-bold text-blue-400 text-lg">📅 План тренировок</h3>
+        <div class="flex items-center gap-3">
+            <span class="text-xs text-slate-300" data-plan-progress="${calendarId}">${formatPlanProgress(weeks, progress)}</span>
+            <button type="button" class="px-3 py-1 rounded-lg text-xs font-semibold bg-blue-500 text-white hover:bg-blue-600"
+                    onclick="document.getElementById('${calendarId}-ics').classList.toggle('hidden')">📆 В календарь</button>
+        </div>
+    </div>`;
+    html += `<div class="hidden mb-3 p-3 bg-slate-800 bg-opacity-60 rounded-lg flex flex-wrap items-end gap-3 text-xs" id="${calendarId}-ics">
+        <label class="text-slate-300">Первая неделя начинается
+            <input type="date" class="block mt-1 p-1 rounded bg-slate-900 text-slate-200 border border-slate-600" data-ics-date value="${getNextMondayDate()}">
+        </label>
+        <label class="text-slate-300">Время тренировки
+            <input type="time" class="block mt-1 p-1 rounded bg-slate-900 text-slate-200 border border-slate-600" data-ics-time value="07:00">
+        </label>
+        <label class="text-slate-300">Длительность, мин
+            <input type="number" min="15" max="480" step="15" class="block mt-1 p-1 w-20 rounded bg-slate-900 text-slate-200 border border-slate-600" data-ics-duration value="60">
+        </label>
+        <button type="button" class="px-3 py-2 rounded-lg font-semibold bg-green-500 text-white hover:bg-green-600"
+                onclick="exportPlanToIcs('${calendarId}')">⬇️ Скачать .ics</button>
+    </div>`;
+
+    html += '<div class="grid grid-cols-8 gap-1 text-xs">';
+    html += '<div></div>' + PLAN_DAYS_SHORT.map(day => `<div class="text-center font-semibold text-blue-300 pb-1">${day}</div>`).join('');
+
+    weeks.forEach(({week, days}) => {
+        html += `<div class="flex items-center font-semibold text-blue-300">Нед. ${week}</div>`;
+        PLAN_DAYS.forEach(day => {
+            if (!days[day]) {
+                html += '<div class="p-2 rounded-lg text-slate-500 text-center">—</div>';
+                return;
+            }
+            const key = `${week}_${day}`;
+            html += `<button type="button" class="${planDayCellClass(progress[key])}" data-plan-day="${key}"
+                         onclick="selectPlanDay('${calendarId}', ${week}, '${day}')">
+                <div class="text-right h-4" data-plan-icon>${planDayStatusIcon(progress[key])}</div>
+                <div class="text-slate-300 line-clamp-3">${days[day]}</div>
+            </button>`;
+        });
+    });
+    html += '</div>';
+
+    html += `<div class="hidden mt-3 p-3 bg-slate-800 bg-opacity-60 rounded-lg" id="${calendarId}-detail"></div>`;
+    html += '</div>';
+
+    return html;
+}
+
+function formatPlanProgress(weeks, progress) {
+    let total = 0;
+    let done = 0;
+    let skipped = 0;
+    weeks.forEach(({week, days}) => {
+        PLAN_DAYS.forEach(day => {
+            if (!days[day]) return;
+            total++;
+            const status = progress[`${week}_${day}`]?.status;
+            if (status === 'done') done++;
+            if (status === 'skipped') skipped++;
+        });
+    });
+    return `✅ ${done} / ${total} · ⏭️ ${skipped}`;
+}
+
+function selectPlanDay(calendarId, week, day) {
+    const detail = document.getElementById(`${calendarId}-detail`);
+    const plan = planCalendars[calendarId];
+    const weekData = plan?.weeks.find(w => w.week === week);
+    if (!detail || !weekData) return;
+
+    const key = `${week}_${day}`;
+    const entry = getPlanProgress(plan.planKey)[key] || {};
+    const dayName = PLAN_DAYS_RU[PLAN_DAYS.indexOf(day)];
+
+    detail.innerHTML = `
+        <div class="flex items-center justify-between mb-2">
+            <div class="font-semibold text-blue-300">Неделя ${week} · ${dayName}</div>
+            <button type="button" class="text-slate-400 hover:text-white text-xs" onclick="document.getElementById('${calendarId}-detail').classList.add('hidden')">✕</button>
+        </div>
+        <div class="text-slate-300 text-sm mb-3 leading-relaxed">${weekData.days[day]}</div>
+        <div class="flex flex-wrap gap-2 mb-3">
+            <button type="button" class="px-3 py-1 rounded-lg text-xs font-semibold ${entry.status === 'done' ? 'bg-green-500 text-white' : 'bg-slate-700 text-slate-200 hover:bg-green-600'}"
+                    onclick="setPlanDayStatus('${calendarId}', ${week}, '${day}', 'done')">✅ Выполнено</button>
+            <button type="button" class="px-3 py-1 rounded-lg text-xs font-semibold ${entry.status === 'skipped' ? 'bg-slate-500 text-white' : 'bg-slate-700 text-slate-200 hover:bg-slate-500'}"
+                    onclick="setPlanDayStatus('${calendarId}', ${week}, '${day}', 'skipped')">⏭️ Пропущено</button>
+            <button type="button" class="px-3 py-1 rounded-lg text-xs font-semibold bg-slate-700 text-slate-200 hover:bg-slate-600"
+                    onclick="setPlanDayStatus('${calendarId}', ${week}, '${day}', null)">↺ Сбросить</button>
+        </div>
+        <textarea class="w-full p-2 rounded-lg bg-slate-900 text-slate-200 text-sm border border-slate-600 focus:outline-none focus:border-blue-400"
+                  placeholder="Заметка: самочувствие, темп, пульс..." rows="2"
+                  onchange="savePlanDayNote('${calendarId}', '${key}', this.value)">${escapeHtmlSessions(entry.note || '')}</textarea>
+    `;
+    detail.classList.remove('hidden');
+}
+
+function setPlanDayStatus(calendarId, week, day, status) {
+    const {planKey} = planCalendars[calendarId];
+    const key = `${week}_${day}`;
+    const progress = getPlanProgress(planKey);
+    progress[key] = {...progress[key], status};
+    if (!progress[key].status && !progress[key].note) delete progress[key];
+    savePlanProgress(planKey, progress);
+
+    refreshPlanCalendars();
+    selectPlanDay(calendarId, week, day);
+}
+
+function savePlanDayNote(calendarId, key, note) {
+    const {planKey} = planCalendars[calendarId];
+    const progress = getPlanProgress(planKey);
+    progress[key] = {...progress[key], note: note.trim()};
+    if (!progress[key].status && !progress[key].note) delete progress[key];
+    savePlanProgress(planKey, progress);
+
+    refreshPlanCalendars();
+}
+
+// Calendar export: each plan day becomes a VEVENT; week 1 starts on the Monday of the chosen date
+function getNextMondayDate() {
+    const date = new Date();
+    date.setDate(date.getDate() + ((8 - date.getDay()) % 7 || 7));
+    return formatDateInputValue(date);
+}
+
+function formatDateInputValue(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function formatIcsDateTime(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+}
+
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 limits content lines to 75 octets; continuation lines start with a space
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        if (currentBytes + charBytes > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+// UIDs come from the plan, not the export time, so importing the same plan again updates its events
+function buildPlanIcs(weeks, planKey, startDate, time, durationMinutes) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const monday = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//AI Challenge Party//Training Plan//RU',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    weeks.forEach(({week, days}) => {
+        PLAN_DAYS.forEach((day, index) => {
+            if (!days[day]) return;
+
+            const start = new Date(monday);
+            start.setDate(monday.getDate() + (week - 1) * 7 + index);
+            start.setHours(hours, minutes, 0, 0);
+            const end = new Date(start.getTime() + durationMinutes * 60000);
+            const workout = String(days[day]);
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${sessionId}-${planKey}-w${week}-${day.toLowerCase()}@aichallenge`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${formatIcsDateTime(start)}`,
+                `DTEND:${formatIcsDateTime(end)}`,
+                `SUMMARY:${escapeIcsText('🏃 ' + truncateText(workout, 60))}`,
+                `DESCRIPTION:${escapeIcsText(`Неделя ${week}, ${PLAN_DAYS_RU[index]}\n${workout}`)}`,
+                'END:VEVENT'
+            );
+        });
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+function exportPlanToIcs(calendarId) {
+    const plan = planCalendars[calendarId];
+    const form = document.getElementById(`${calendarId}-ics`);
+    if (!plan || !form) return;
+
+    const dateValue = form.querySelector('[data-ics-date]').value;
+    const timeValue = form.querySelector('[data-ics-time]').value || '07:00';
+    const duration = parseInt(form.querySelector('[data-ics-duration]').value) || 60;
+
+    if (!dateValue) {
+        showNotification('Укажите дату начала плана', 'error');
+        return;
+    }
+
+    const [year, month, dayOfMonth] = dateValue.split('-').map(Number);
+    const ics = buildPlanIcs(plan.weeks, plan.planKey, new Date(year, month - 1, dayOfMonth), timeValue, duration);
+    downloadFile(`training-plan-${dateValue}.ics`, ics, 'text/calendar;charset=utf-8');
+    form.classList.add('hidden');
+}
+
+// The same plan may be rendered more than once, so every grid is updated from its plan's progress
+function refreshPlanCalendars() {
+    Object.entries(planCalendars).forEach(([calendarId, {weeks, planKey}]) => {
+        const calendar = document.getElementById(calendarId);
+        if (!calendar) return;
+
+        const progress = getPlanProgress(planKey);
+        calendar.querySelectorAll('[data-plan-day]').forEach(cell => {
+            const entry = progress[cell.dataset.planDay];
+            cell.className = planDayCellClass(entry);
+            cell.querySelector('[data-plan-icon]').textContent = planDayStatusIcon(entry);
+        });
+        calendar.querySelector(`[data-plan-progress="${calendarId}"]`).textContent = formatPlanProgress(weeks, progress);
+    });
+}
+
+function showLoading() {
+    loadingIndicator.classList.remove('hidden');
+    scrollToBottom();
+}
+
+function hideLoading() {
+    loadingIndicator.classList.add('hidden');
+}
+
+function scrollToBottom() {
+    setTimeout(() => {
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    }, 100);
+}
+
+userInput.focus();
+
+function addTypingEffect(element, text, speed = 20) {
+    return new Promise((resolve) => {
+        let i = 0;
+        element.textContent = '';
+
+        const interval = setInterval(() => {
+            if (i < text.length) {
+                element.textContent += text.charAt(i);
+                i++;
+            } else {
+                clearInterval(interval);
+                resolve();
+            }
+        }, speed);
+    });
+}
+
+function addButtonClickEffect(button) {
+    button.style.transform = 'scale(0.95)';
+    setTimeout(() => {
+        button.style.transform = '';
+    }, 150);
+}
+
+quickPrompts.forEach(button => {
+    button.addEventListener('mousedown', () => {
+        addButtonClickEffect(button);
+    });
+});
 
 const sendButton = document.querySelector('.send-button');
 sendButton.addEventListener('mousedown', () => {
@@ -705,7 +1470,7 @@ function addMessageWithAnimation(role, content) {
         } catch {
             const markdownDiv = document.createElement('div');
             markdownDiv.className = 'markdown-content';
-            markdownDiv.innerHTML = marked.parse(content);
+            markdownDiv.innerHTML = renderMarkdown(content);
             messageDiv.appendChild(markdownDiv);
         }
 
@@ -750,104 +1515,207 @@ function queueMessage(role, content) {
 }
 
 let currentReasoningMode = 'direct';
-let reasoningSessionIds = {
-    direct: 'reasoning_direct_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-    stepByStep: 'reasoning_step_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-    aiPrompt: 'reasoning_prompt_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-    experts: 'reasoning_experts_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-    tokenizer: 'reasoning_tokenizer_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9)
+const REASONING_SESSION_PREFIXES = {
+    direct: 'reasoning_direct_',
+    stepByStep: 'reasoning_step_',
+    aiPrompt: 'reasoning_prompt_',
+    experts: 'reasoning_experts_',
+    tokenizer: 'reasoning_tokenizer_'
 };
 
-let reasoningMessageHistory = {
-    direct: [],
-    stepByStep: [],
-    aiPrompt: [],
-    experts: [],
-    tokenizer: []
-};
+// Each mode keeps its own dialogs in localStorage under 'reasoningSessions':
+// {mode: [{id, createdAt, lastActivity, messages, summaries, contextStart, totalInputTokens, contextLimit}]}
+// contextStart is the index of the first message the server keeps verbatim after the last compression.
+function getReasoningSessions() {
+    return JSON.parse(localStorage.getItem('reasoningSessions') || '{}');
+}
 
-function initReasoningTab() {
-    console.log('Initializing reasoning tab...');
-    const tabTraining = document.getElementById('tab-training');
-    const tabReasoning = document.getElementById('tab-reasoning');
-    const tabModels = document.getElementById('tab-models');
-    const tabClub = document.getElementById('tab-club');
-    const trainingContent = document.getElementById('training-content');
-    const reasoningContent = document.getElementById('reasoning-content');
-    const modelsContent = document.getElementById('models-content');
-    const clubContent = document.getElementById('club-content');
+function getReasoningSession(mode, id) {
+    return (getReasoningSessions()[mode] || []).find(session => session.id === id) || null;
+}
 
-    console.log('Elements:', {
-        tabTraining: !!tabTraining,
-        tabReasoning: !!tabReasoning,
-        tabModels: !!tabModels,
-        tabClub: !!tabClub,
-        trainingContent: !!trainingContent,
-        reasoningContent: !!reasoningContent,
-        modelsContent: !!modelsContent,
-        clubContent: !!clubContent
-    });
+function createReasoningSessionId(mode) {
+    return REASONING_SESSION_PREFIXES[mode] + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
 
-    if (!tabTraining || !tabReasoning || !tabModels || !tabClub || !trainingContent || !reasoningContent || !modelsContent || !clubContent) {
-        console.error('Tab elements not found!', {
-            tabTraining, tabReasoning, tabModels, tabClub, trainingContent, reasoningContent, modelsContent, clubContent
-        });
-        return;
+function updateReasoningSession(mode, id, changes) {
+    const all = getReasoningSessions();
+    const list = all[mode] || [];
+    let session = list.find(item => item.id === id);
+    if (!session) {
+        session = {id, createdAt: new Date().toISOString(), messages: [], summaries: [], contextStart: 0};
+        list.push(session);
     }
+    Object.assign(session, changes, {lastActivity: new Date().toISOString()});
+    all[mode] = list;
+    localStorage.setItem('reasoningSessions', JSON.stringify(all));
+    localStorage.setItem('reasoningCurrentSessions', JSON.stringify(reasoningSessionIds));
+    return session;
+}
 
-    function switchTab(tab) {
-        console.log('Switching to tab:', tab);
-
-        tabTraining.classList.remove('active-tab');
-        tabReasoning.classList.remove('active-tab');
-        tabModels.classList.remove('active-tab');
-        tabClub.classList.remove('active-tab');
-        trainingContent.classList.remove('active');
-        reasoningContent.classList.remove('active');
-        modelsContent.classList.remove('active');
-        clubContent.classList.remove('active');
-
-        if (tab === 'training') {
-            tabTraining.classList.add('active-tab');
-            trainingContent.classList.add('active');
-        } else if (tab === 'reasoning') {
-            tabReasoning.classList.add('active-tab');
-            reasoningContent.classList.add('active');
-        } else if (tab === 'models') {
-            tabModels.classList.add('active-tab');
-            modelsContent.classList.add('active');
-        } else if (tab === 'club') {
-            tabClub.classList.add('active-tab');
-            clubContent.classList.add('active');
-            // Initialize Club chat on first load
-            if (typeof initClubChat === 'function') {
-                initClubChat();
-            }
-        }
-        console.log('Tab switched successfully');
+function deleteReasoningSession(mode, id) {
+    const all = getReasoningSessions();
+    all[mode] = (all[mode] || []).filter(session => session.id !== id);
+    localStorage.setItem('reasoningSessions', JSON.stringify(all));
+}
+
+// Appends to the stored dialog even if the user has switched away while the answer was loading
+function appendReasoningMessage(mode, id, message) {
+    const messages = [...(getReasoningSession(mode, id)?.messages || []), message];
+    updateReasoningSession(mode, id, {messages});
+    if (reasoningSessionIds[mode] === id) {
+        reasoningMessageHistory[mode] = messages;
     }
+}
 
-    tabTraining.addEventListener('click', () => {
-        console.log('Training tab clicked');
-        switchTab('training');
-    });
-    tabReasoning.addEventListener('click', () => {
-        console.log('Reasoning tab clicked');
-        switchTab('reasoning');
+function setCurrentReasoningSession(mode, id) {
+    reasoningSessionIds[mode] = id;
+    reasoningMessageHistory[mode] = getReasoningSession(mode, id)?.messages || [];
+    localStorage.setItem('reasoningCurrentSessions', JSON.stringify(reasoningSessionIds));
+}
+
+function loadReasoningSessionIds() {
+    const stored = JSON.parse(localStorage.getItem('reasoningCurrentSessions') || '{}');
+    const ids = {};
+    Object.keys(REASONING_SESSION_PREFIXES).forEach(mode => {
+        ids[mode] = stored[mode] || createReasoningSessionId(mode);
     });
-    tabModels.addEventListener('click', () => {
-        console.log('Models tab clicked');
-        switchTab('models');
+    return ids;
+}
+
+// The server keeps reasoning dialogs in memory only. If it still has the session, its summaries and
+// token counter win; if it lost it (restart), it gets back the last summary plus the messages after it.
+// Returns true when the local copy was updated from the server.
+async function reconcileReasoningSession(mode, id) {
+    const session = getReasoningSession(mode, id);
+    try {
+        const state = await apiGet(`/reasoning-chat/state/${encodeURIComponent(id)}`);
+        if (state.messages.length > 0) {
+            if (!session) return false;
+            updateReasoningSession(mode, id, {
+                summaries: state.summaries,
+                totalInputTokens: state.totalInputTokens,
+                contextLimit: state.contextLimit
+            });
+            return true;
+        }
+
+        if (session && session.messages.length > 0) {
+            await apiPost('/reasoning-chat/restore', {
+                sessionId: id,
+                messages: session.messages
+                    .map(({role, content, pinned}, index) => ({role, content, pinned: !!pinned, index}))
+                    .filter(msg => msg.index >= (session.contextStart || 0) || msg.pinned),
+                summaries: session.summaries || [],
+                totalInputTokens: session.totalInputTokens ?? null,
+                contextLimit: session.contextLimit ?? null
+            });
+        }
+    } catch (error) {
+        console.warn('Could not reconcile reasoning session', id, error);
+    }
+    return false;
+}
+
+let reasoningSessionIds = loadReasoningSessionIds();
+
+let reasoningMessageHistory = {};
+Object.keys(REASONING_SESSION_PREFIXES).forEach(mode => {
+    reasoningMessageHistory[mode] = getReasoningSession(mode, reasoningSessionIds[mode])?.messages || [];
+});
+
+// ============= TAB ROUTER =============
+// The open tab lives in the URL hash: #<tab>[?q=...]. Reloading restores it, back/forward
+// walk through tab history and q prefills the tab's main input, e.g. #orchestration?q=...
+
+const DEFAULT_TAB = 'training';
+const TAB_ROUTES = {
+    training: {},
+    reasoning: {},
+    models: {prefill: {q: 'comparison-input'}},
+    club: {onShow: () => initClubChat()},
+    reminders: {onShow: () => loadReminders()},
+    orchestration: {onShow: () => initializeOrchestrationTab(), prefill: {q: 'orch-query-input'}},
+    mcp: {prefill: {q: 'mcp-message-input'}}
+};
+
+let currentTab = null;
+
+function parseTabHash(hash) {
+    const [name, query = ''] = hash.replace(/^#\/?/, '').split('?');
+    return {
+        tab: TAB_ROUTES[name] ? name : DEFAULT_TAB,
+        params: Object.fromEntries(new URLSearchParams(query))
+    };
+}
+
+function buildTabHash(tab, params = {}) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+    return '#' + tab + (query ? '?' + query : '');
+}
+
+function showTab(tab) {
+    document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+    document.querySelectorAll('.nav-link').forEach(link => link.classList.remove('active-tab'));
+
+    document.getElementById(`${tab}-content`)?.classList.add('active');
+    document.getElementById(`tab-${tab}`)?.classList.add('active-tab');
+
+    const changed = currentTab !== tab;
+    currentTab = tab;
+    if (changed) TAB_ROUTES[tab].onShow?.();
+}
+
+function applyTabRoute() {
+    const {tab, params} = parseTabHash(location.hash);
+    showTab(tab);
+
+    Object.entries(TAB_ROUTES[tab].prefill || {}).forEach(([param, inputId]) => {
+        const input = document.getElementById(inputId);
+        if (input && params[param] !== undefined) input.value = params[param];
     });
-    tabClub.addEventListener('click', () => {
-        console.log('Club tab clicked');
-        switchTab('club');
+}
+
+// Pushes a history entry; hashchange then renders the tab
+function navigateToTab(tab, params = {}) {
+    const hash = buildTabHash(tab, params);
+    if (location.hash === hash) {
+        applyTabRoute();
+    } else {
+        location.hash = hash;
+    }
+}
+
+// Mirrors a prefilled input back into the hash so the address bar is always a shareable link
+function syncTabParam(tab, param, value) {
+    if (currentTab !== tab) return;
+    const params = {...parseTabHash(location.hash).params, [param]: value};
+    history.replaceState(null, '', buildTabHash(tab, params));
+}
+
+function initTabRouter() {
+    Object.entries(TAB_ROUTES).forEach(([tab, route]) => {
+        document.getElementById(`tab-${tab}`)?.addEventListener('click', () => {
+            // Keep the tab's current parameters when returning to it through the nav bar
+            const params = {};
+            Object.entries(route.prefill || {}).forEach(([param, inputId]) => {
+                params[param] = document.getElementById(inputId)?.value.trim();
+            });
+            navigateToTab(tab, params);
+        });
+
+        Object.entries(route.prefill || {}).forEach(([param, inputId]) => {
+            document.getElementById(inputId)?.addEventListener('input', (e) => {
+                syncTabParam(tab, param, e.target.value.trim());
+            });
+        });
     });
 
-    console.log('Event listeners attached successfully');
+    window.addEventListener('hashchange', applyTabRoute);
+    applyTabRoute();
 }
 
-document.addEventListener('DOMContentLoaded', initReasoningTab);
+document.addEventListener('DOMContentLoaded', initTabRouter);
 
 function initReasoningChat() {
     const reasoningModeBtns = document.querySelectorAll('.reasoning-mode-btn');
@@ -886,27 +1754,21 @@ function initReasoningChat() {
             if (!confirmed) return;
 
             try {
-                await fetch('/reasoning-chat/clear', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        sessionId: reasoningSessionIds[currentReasoningMode]
-                    })
+                await apiPost('/reasoning-chat/clear', {
+                    sessionId: reasoningSessionIds[currentReasoningMode]
                 });
 
-                const reasoningMessagesContainer = document.getElementById('reasoning-messages');
-                while (reasoningMessagesContainer.children.length > 1) {
-                    reasoningMessagesContainer.removeChild(reasoningMessagesContainer.lastChild);
-                }
-
-                reasoningMessageHistory[currentReasoningMode] = [];
+                updateReasoningSession(currentReasoningMode, reasoningSessionIds[currentReasoningMode], {
+                    messages: [],
+                    summaries: [],
+                    contextStart: 0,
+                    totalInputTokens: null
+                });
+                renderReasoningSession(currentReasoningMode);
 
                 alert('Диалог успешно очищен!');
             } catch (error) {
-                console.error('Error clearing reasoning chat:', error);
-                alert('Ошибка при очистке диалога');
+                reportApiError(error, 'Ошибка при очистке диалога');
             }
         });
     }
@@ -919,7 +1781,7 @@ function initReasoningChat() {
             const newMode = btn.dataset.mode;
             if (newMode !== currentReasoningMode) {
                 currentReasoningMode = newMode;
-                restoreReasoningHistory(newMode);
+                openReasoningSession(newMode);
             }
         });
     });
@@ -934,6 +1796,9 @@ function initReasoningChat() {
     const reasoningContextUsed = document.getElementById('reasoning-context-used');
     const reasoningContextMax = document.getElementById('reasoning-context-max');
     const reasoningContextBar = document.getElementById('reasoning-context-bar');
+    const reasoningSessionSelect = document.getElementById('reasoning-session-select');
+    const newReasoningSessionBtn = document.getElementById('new-reasoning-session-btn');
+    const deleteReasoningSessionBtn = document.getElementById('delete-reasoning-session-btn');
 
     if (!reasoningForm || !reasoningInput || !reasoningMessagesContainer || !reasoningLoadingIndicator) {
         console.error('Reasoning chat elements not found');
@@ -992,13 +1857,12 @@ function initReasoningChat() {
                 </div>
             `;
         } else {
-            const formattedContent = typeof marked !== 'undefined' ? marked.parse(content) : content.replace(/\n/g, '<br>');
+            const formattedContent = renderMarkdown(content);
 
             let tokenInfoHtml = '';
             if (inputTokens !== null && outputTokens !== null) {
                 const totalTokens = inputTokens + outputTokens;
-                const costPer1M = 0.80;
-                const cost = ((inputTokens / 1000000) * costPer1M + (outputTokens / 1000000) * (costPer1M * 5)).toFixed(6);
+                const cost = formatCost(estimateCost(DEFAULT_CHAT_MODEL, inputTokens, outputTokens));
                 tokenInfoHtml = `
                     <div class="mt-3 pt-3 border-t border-gray-200 flex items-center gap-4 text-xs text-gray-500">
                         <span class="flex items-center gap-1">
@@ -1014,7 +1878,7 @@ function initReasoningChat() {
                             Выход: <strong>${outputTokens}</strong>
                         </span>
                         <span>Всего: <strong>${totalTokens}</strong></span>
-                        <span>Стоимость: <strong>$${cost}</strong></span>
+                        <span>Стоимость: <strong>${cost}</strong></span>
                     </div>
                 `;
             }
@@ -1037,21 +1901,100 @@ function initReasoningChat() {
         reasoningMessagesContainer.scrollTop = reasoningMessagesContainer.scrollHeight;
 
         if (saveToHistory) {
-            reasoningMessageHistory[currentReasoningMode].push({role, content});
+            appendReasoningMessage(currentReasoningMode, reasoningSessionIds[currentReasoningMode], {role, content, inputTokens, outputTokens});
         }
     }
 
-    function restoreReasoningHistory(mode) {
+    function renderReasoningSession(mode) {
         while (reasoningMessagesContainer.children.length > 1) {
             reasoningMessagesContainer.removeChild(reasoningMessagesContainer.lastChild);
         }
 
-        const history = reasoningMessageHistory[mode];
-        if (history && history.length > 0) {
-            history.forEach(msg => {
-                addReasoningMessage(msg.role, msg.content, false);
-            });
+        const session = getReasoningSession(mode, reasoningSessionIds[mode]);
+        reasoningMessageHistory[mode] = session?.messages || [];
+        reasoningMessageHistory[mode].forEach(msg => {
+            addReasoningMessage(msg.role, msg.content, false, msg.inputTokens ?? null, msg.outputTokens ?? null);
+        });
+
+        showReasoningSummaries(session?.summaries || []);
+
+        if (session?.totalInputTokens != null) {
+            updateReasoningContextProgress(session.totalInputTokens, session.contextLimit);
+        } else {
+            reasoningContextUsed.textContent = 0;
+            reasoningContextBar.style.width = '0%';
+        }
+
+        renderReasoningSessionPicker(mode);
+        renderSessionSpend('reasoning-session-spend', reasoningSessionIds[mode]);
+    }
+
+    // Renders from localStorage right away, then again if the server had fresher summaries
+    function openReasoningSession(mode) {
+        const id = reasoningSessionIds[mode];
+        renderReasoningSession(mode);
+        reconcileReasoningSession(mode, id).then(updated => {
+            if (updated && currentReasoningMode === mode && reasoningSessionIds[mode] === id) {
+                renderReasoningSession(mode);
+            }
+        });
+    }
+
+    function renderReasoningSessionPicker(mode) {
+        if (!reasoningSessionSelect) return;
+
+        const sessions = [...(getReasoningSessions()[mode] || [])]
+            .sort((a, b) => (b.lastActivity || '').localeCompare(a.lastActivity || ''));
+        if (!sessions.some(session => session.id === reasoningSessionIds[mode])) {
+            sessions.unshift({id: reasoningSessionIds[mode], messages: []});
         }
+
+        reasoningSessionSelect.innerHTML = '';
+        sessions.forEach(session => {
+            const firstQuestion = (session.messages || []).find(msg => msg.role === 'user');
+            const option = document.createElement('option');
+            option.value = session.id;
+            option.textContent = firstQuestion
+                ? `${truncateText(firstQuestion.content, 40)} · ${new Date(session.lastActivity).toLocaleString('ru-RU')} · ${session.messages.length} сообщ.`
+                : 'Новый диалог';
+            option.selected = session.id === reasoningSessionIds[mode];
+            reasoningSessionSelect.appendChild(option);
+        });
+    }
+
+    if (reasoningSessionSelect) {
+        reasoningSessionSelect.addEventListener('change', () => {
+            setCurrentReasoningSession(currentReasoningMode, reasoningSessionSelect.value);
+            openReasoningSession(currentReasoningMode);
+        });
+    }
+
+    if (newReasoningSessionBtn) {
+        newReasoningSessionBtn.addEventListener('click', () => {
+            setCurrentReasoningSession(currentReasoningMode, createReasoningSessionId(currentReasoningMode));
+            renderReasoningSession(currentReasoningMode);
+        });
+    }
+
+    if (deleteReasoningSessionBtn) {
+        deleteReasoningSessionBtn.addEventListener('click', async () => {
+            const mode = currentReasoningMode;
+            const id = reasoningSessionIds[mode];
+            if (!confirm('Удалить этот диалог?')) return;
+
+            try {
+                await apiPost('/reasoning-chat/clear', {sessionId: id});
+            } catch (error) {
+                reportApiError(error, 'Ошибка при удалении диалога на сервере');
+            }
+
+            deleteReasoningSession(mode, id);
+            clearSessionSpend(id);
+            const remaining = [...(getReasoningSessions()[mode] || [])]
+                .sort((a, b) => (b.lastActivity || '').localeCompare(a.lastActivity || ''));
+            setCurrentReasoningSession(mode, remaining.length > 0 ? remaining[0].id : createReasoningSessionId(mode));
+            openReasoningSession(mode);
+        });
     }
 
     function escapeHtml(text) {
@@ -1065,33 +2008,58 @@ function initReasoningChat() {
         const message = reasoningInput.value.trim();
         if (!message) return;
 
+        // The user may switch mode or dialog while waiting; the answer still goes to this one
+        const mode = currentReasoningMode;
+        const requestSessionId = reasoningSessionIds[mode];
+        const isStillOpen = () => currentReasoningMode === mode && reasoningSessionIds[mode] === requestSessionId;
+
         addReasoningMessage('user', message);
+        renderReasoningSessionPicker(mode);
         reasoningInput.value = '';
         reasoningLoadingIndicator.classList.remove('hidden');
+        const startedAt = performance.now();
 
         try {
             const requestBody = {
                 message: message,
-                sessionId: reasoningSessionIds[currentReasoningMode],
-                reasoningMode: currentReasoningMode,
+                sessionId: requestSessionId,
+                reasoningMode: mode,
                 maxContextTokens: reasoningMaxContextTokens,
-                compressionThreshold: currentCompressionThreshold > 0 ? currentCompressionThreshold : null
+                compressionThreshold: currentCompressionThreshold > 0 ? currentCompressionThreshold : null,
+                pinnedMessages: getPinnedReasoningMessageIndices(mode, requestSessionId),
+                messageIndex: getReasoningSession(mode, requestSessionId).messages.length - 1
             };
 
-            if (currentReasoningMode === 'direct') {
+            if (mode === 'direct') {
                 requestBody.temperature = currentTemperature;
             }
 
-            const response = await fetch('/reasoning-chat', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
+            const data = await apiPost('/reasoning-chat', requestBody, {timeout: 120000});
+            reasoningLoadingIndicator.classList.add('hidden');
+
+            const stored = getReasoningSession(mode, requestSessionId);
+            updateReasoningSession(mode, requestSessionId, {
+                summaries: data.summaries || [],
+                totalInputTokens: data.totalInputTokens ?? null,
+                contextLimit: data.contextLimit ?? null,
+                // After a compression the server keeps only the summary and the message that triggered it
+                contextStart: data.compressionOccurred ? stored.messages.length - 1 : stored.contextStart
             });
 
-            const data = await response.json();
-            reasoningLoadingIndicator.classList.add('hidden');
+            recordUsage({
+                tab: 'reasoning',
+                model: DEFAULT_CHAT_MODEL,
+                sessionKey: requestSessionId,
+                inputTokens: data.inputTokens,
+                outputTokens: data.outputTokens,
+                latencyMs: performance.now() - startedAt
+            });
+
+            const answer = {role: 'assistant', content: data.response, inputTokens: data.inputTokens, outputTokens: data.outputTokens};
+            if (!isStillOpen()) {
+                appendReasoningMessage(mode, requestSessionId, answer);
+                return;
+            }
 
             if (data.compressionOccurred) {
                 displayCompressionNotification();
@@ -1106,12 +2074,21 @@ function initReasoningChat() {
             if (data.totalInputTokens !== undefined && data.contextLimit !== undefined) {
                 updateReasoningContextProgress(data.totalInputTokens, data.contextLimit);
             }
+            renderReasoningSessionPicker(mode);
+            renderSessionSpend('reasoning-session-spend', requestSessionId);
         } catch (error) {
             reasoningLoadingIndicator.classList.add('hidden');
-            addReasoningMessage('assistant', 'Произошла ошибка при обработке запроса');
-            console.error('Error:', error);
+            if (isStillOpen()) {
+                // Not saved: the failed answer should not come back after a reload
+                addReasoningMessage('assistant', 'Произошла ошибка при обработке запроса', false);
+            }
+            reportApiError(error, 'Ошибка reasoning-чата');
         }
     });
+
+    document.getElementById('reasoning-compare-btn')?.addEventListener('click', runReasoningComparison);
+
+    openReasoningSession(currentReasoningMode);
 }
 
 function escapeHtmlForSummary(text) {
@@ -1184,148 +2161,1121 @@ function updateSummariesDisplay(summaries) {
         summariesContainer.appendChild(summaryEl);
     });
 
+    const inspectButton = document.createElement('button');
+    inspectButton.type = 'button';
+    inspectButton.className = 'text-xs text-blue-600 hover:underline';
+    inspectButton.textContent = '🔍 Что попало в summary';
+    inspectButton.addEventListener('click', openCompressionInspector);
+    summariesContainer.appendChild(inspectButton);
+
     summariesContainer.classList.remove('hidden');
 }
 
-document.addEventListener('DOMContentLoaded', initReasoningChat);
-
-if (document.getElementById('tab-models')) {
-    const tabModels = document.getElementById('tab-models');
-    const modelsContent = document.getElementById('models-content');
-    const comparisonForm = document.getElementById('comparison-form');
-    const comparisonInput = document.getElementById('comparison-input');
-    const comparisonResults = document.getElementById('comparison-results');
-    const comparisonLoading = document.getElementById('comparison-loading');
-    const comparisonQuickPrompts = document.querySelectorAll('#models-content .quick-prompt');
+function showReasoningSummaries(summaries) {
+    const summariesContainer = document.getElementById('summaries-container');
+    if (!summariesContainer) return;
 
-    function escapeHtmlComparison(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    if (summaries.length > 0) {
+        updateSummariesDisplay(summaries);
+    } else {
+        summariesContainer.innerHTML = '<p class="text-xs font-semibold text-gray-600 mb-2">📝 История компрессий:</p>';
+        summariesContainer.classList.add('hidden');
     }
+}
 
-    comparisonQuickPrompts.forEach(button => {
-        button.addEventListener('click', () => {
-            const promptText = button.textContent.trim().substring(2);
-            comparisonInput.value = promptText;
-        });
-    });
+// ============= COMPRESSION INSPECTOR =============
+// Compares the original messages kept in localStorage with the summary that replaced them on the server.
+// Words of a folded message that have no match in the summary are highlighted as dropped.
 
-    function displayComparisonResults(data) {
-        comparisonResults.innerHTML = '';
+// Pins go to the server as positions in the dialog: messages with the same text must not be pinned together
+function getPinnedReasoningMessageIndices(mode, id) {
+    return (getReasoningSession(mode, id)?.messages || []).flatMap((msg, index) => msg.pinned ? [index] : []);
+}
 
-        const summaryDiv = document.createElement('div');
-        summaryDiv.className = 'bg-gray-50 rounded-xl p-4 border border-gray-200 mb-4';
-        summaryDiv.innerHTML = `
-            <div class="flex items-center justify-between mb-2">
-                <h3 class="font-bold text-lg" style="color: var(--primary-color);">📊 Результаты сравнения</h3>
-                <span class="text-sm text-gray-600">Общее время: ${data.totalTimeMs}ms</span>
-            </div>
-        `;
-        comparisonResults.appendChild(summaryDiv);
+// Crude stemming is enough here: drop up to three trailing letters so Russian word forms match
+function getCompressionStem(word) {
+    const lower = word.toLowerCase().replace(/ё/g, 'е');
+    return /^\d+$/.test(lower) ? lower : lower.substring(0, Math.max(4, lower.length - 3));
+}
 
-        data.results.forEach((result, index) => {
-            const resultDiv = document.createElement('div');
-            resultDiv.className = 'border-2 border-gray-200 rounded-xl p-5 bg-white hover:shadow-lg transition-shadow';
+function isSignificantWord(word) {
+    return /^\d+$/.test(word) || word.length >= 4;
+}
 
-            let statusBadge = '';
-            if (result.error) {
-                statusBadge = '<span class="bg-red-500 text-white px-3 py-1 rounded-full text-xs font-bold">❌ Ошибка</span>';
-            } else {
-                statusBadge = '<span class="bg-green-500 text-white px-3 py-1 rounded-full text-xs font-bold">✅ Успешно</span>';
-            }
+function highlightDroppedContent(text, summaryStems) {
+    let significant = 0;
+    let kept = 0;
+    const html = text.split(/([\p{L}\p{N}]+)/u).map(part => {
+        if (!part || !/^[\p{L}\p{N}]+$/u.test(part) || !isSignificantWord(part)) {
+            return escapeHtmlForSummary(part);
+        }
+        significant++;
+        if (summaryStems.has(getCompressionStem(part))) {
+            kept++;
+            return escapeHtmlForSummary(part);
+        }
+        return `<mark class="bg-red-100 text-red-800 rounded px-0.5">${escapeHtmlForSummary(part)}</mark>`;
+    }).join('');
 
-            let costDisplay = result.estimatedCost > 0
-                ? `<div class="text-sm text-gray-600">💰 Стоимость: $${result.estimatedCost.toFixed(6)}</div>`
-                : '<div class="text-sm text-green-600">💚 Бесплатно</div>';
+    return {html, coverage: significant > 0 ? Math.round(kept / significant * 100) : 100};
+}
 
-            resultDiv.innerHTML = `
-                <div class="flex items-center justify-between mb-3">
-                    <div class="flex items-center gap-3">
-                        <h3 class="font-bold text-lg" style="color: var(--primary-color);">${result.modelName}</h3>
-                        ${statusBadge}
-                    </div>
+function openCompressionInspector() {
+    document.getElementById('compression-inspector-modal')?.classList.remove('hidden');
+    const threshold = document.getElementById('compression-threshold-slider')?.value || '0';
+    document.getElementById('inspector-threshold-input').value = threshold > 0 ? threshold : 4;
+    renderCompressionInspector();
+}
+
+function closeCompressionInspector() {
+    document.getElementById('compression-inspector-modal')?.classList.add('hidden');
+}
+
+function renderCompressionInspector() {
+    const mode = currentReasoningMode;
+    const session = getReasoningSession(mode, reasoningSessionIds[mode]);
+    const messagesEl = document.getElementById('inspector-messages');
+    const summaryEl = document.getElementById('inspector-summary');
+    if (!messagesEl || !summaryEl) return;
+
+    const messages = session?.messages || [];
+    const summary = session?.summaries?.[session.summaries.length - 1];
+    const contextStart = summary ? (session.contextStart || 0) : 0;
+
+    const summaryStems = new Set(
+        (summary?.summary.match(/[\p{L}\p{N}]+/gu) || []).map(getCompressionStem)
+    );
+
+    summaryEl.innerHTML = summary ? `
+        <div class="text-xs text-gray-500 mb-2">
+            ${new Date(summary.timestamp).toLocaleString('ru-RU')} ·
+            ${summary.originalMessageCount} сообщ. · токены ${summary.tokensBeforeCompression} → ${summary.tokensAfterCompression}
+        </div>
+        <div class="text-sm text-gray-700 whitespace-pre-wrap">${escapeHtmlForSummary(summary.summary)}</div>
+    ` : '<p class="text-sm text-gray-500">Диалог ещё не сжимался</p>';
+
+    if (messages.length === 0) {
+        messagesEl.innerHTML = '<p class="text-sm text-gray-500">В этом диалоге пока нет сообщений</p>';
+        return;
+    }
+
+    messagesEl.innerHTML = messages.map((msg, index) => {
+        const folded = index < contextStart && !msg.pinned;
+        const {html, coverage} = folded
+            ? highlightDroppedContent(msg.content, summaryStems)
+            : {html: escapeHtmlForSummary(msg.content), coverage: null};
+
+        let status;
+        if (msg.pinned) {
+            status = '<span class="text-amber-700">📌 закреплено</span>';
+        } else if (folded) {
+            const color = coverage >= 70 ? 'text-green-700' : coverage >= 40 ? 'text-amber-700' : 'text-red-700';
+            status = `<span class="${color}">в summary · сохранено ~${coverage}%</span>`;
+        } else {
+            status = '<span class="text-gray-500">в контексте целиком</span>';
+        }
+
+        return `
+            <div class="p-3 rounded-lg border ${folded ? 'border-gray-200 bg-gray-50' : 'border-blue-200 bg-white'}">
+                <div class="flex items-center justify-between text-xs mb-1">
+                    <span class="font-semibold text-gray-700">${msg.role === 'user' ? '👤 Пользователь' : '🤖 Ассистент'}</span>
+                    <span class="flex items-center gap-2">
+                        ${status}
+                        <button type="button" class="hover:underline text-blue-600" onclick="toggleReasoningMessagePin(${index})">
+                            ${msg.pinned ? 'Открепить' : '📌 Закрепить'}
+                        </button>
+                    </span>
+                </div>
+                <div class="text-sm text-gray-700 whitespace-pre-wrap max-h-40 overflow-y-auto">${html}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+function toggleReasoningMessagePin(index) {
+    const mode = currentReasoningMode;
+    const id = reasoningSessionIds[mode];
+    const messages = [...(getReasoningSession(mode, id)?.messages || [])];
+    if (!messages[index]) return;
+
+    messages[index] = {...messages[index], pinned: !messages[index].pinned};
+    updateReasoningSession(mode, id, {messages});
+    reasoningMessageHistory[mode] = messages;
+    renderCompressionInspector();
+
+    if (index < (getReasoningSession(mode, id).contextStart || 0)) {
+        showNotification('Сообщение уже в summary — пересожмите диалог, чтобы применить', 'success');
+    }
+}
+
+// threshold 0 rolls the compression back: the server gets every original message again
+async function recompressReasoningSession(threshold) {
+    const mode = currentReasoningMode;
+    const id = reasoningSessionIds[mode];
+    const session = getReasoningSession(mode, id);
+    if (!session || session.messages.length === 0) return;
+
+    const buttons = document.querySelectorAll('#compression-inspector-modal [data-recompress]');
+    buttons.forEach(button => button.disabled = true);
+
+    try {
+        const data = await apiPost('/reasoning-chat/recompress', {
+            sessionId: id,
+            messages: session.messages.map(({role, content, pinned}) => ({role, content, pinned: !!pinned})),
+            compressionThreshold: threshold
+        }, {timeout: 120000});
+
+        updateReasoningSession(mode, id, {
+            summaries: data.summaries,
+            contextStart: data.contextStart,
+            totalInputTokens: data.totalInputTokens ?? null,
+            contextLimit: data.contextLimit ?? null
+        });
+
+        const slider = document.getElementById('compression-threshold-slider');
+        if (slider) {
+            slider.value = threshold;
+            slider.dispatchEvent(new Event('input'));
+        }
+
+        showReasoningSummaries(data.summaries);
+        renderCompressionInspector();
+        showNotification(threshold > 0 ? '🗜️ Диалог пересжат' : '↩️ Компрессия отменена', 'success');
+    } catch (error) {
+        reportApiError(error, 'Не удалось пересжать диалог');
+    } finally {
+        buttons.forEach(button => button.disabled = false);
+    }
+}
+
+const REASONING_MODE_LABELS = {
+    direct: '⚡ Прямой ответ',
+    stepByStep: '📝 Пошагово',
+    aiPrompt: '🤖 AI промпт',
+    experts: '👥 Эксперты',
+    tokenizer: '🔢 Токенизатор'
+};
+
+// Sends the prompt from the reasoning input to every checked mode at once. Each mode gets a throwaway
+// session so the comparison neither sees nor pollutes the dialogs from the session picker.
+async function runReasoningComparison() {
+    const input = document.getElementById('reasoning-input');
+    const button = document.getElementById('reasoning-compare-btn');
+    const resultsContainer = document.getElementById('reasoning-compare-results');
+    const prompt = input.value.trim();
+    const modes = [...document.querySelectorAll('.reasoning-compare-mode:checked')].map(box => box.value);
+
+    if (!prompt) {
+        showNotification('⚠️ Введите вопрос для сравнения', 'error');
+        return;
+    }
+    if (modes.length < 2) {
+        showNotification('⚠️ Выберите хотя бы два режима', 'error');
+        return;
+    }
+
+    const temperature = parseFloat(document.getElementById('temperature-slider')?.value ?? '1');
+    button.disabled = true;
+    resultsContainer.classList.remove('hidden');
+    resultsContainer.classList.add('grid');
+    resultsContainer.style.gridTemplateColumns = `repeat(${modes.length}, minmax(260px, 1fr))`;
+    resultsContainer.innerHTML = modes.map(mode => `
+        <div class="border border-gray-200 rounded-xl p-4 flex flex-col" data-compare-mode="${mode}">
+            <div class="flex items-center justify-between mb-3">
+                <span class="font-bold text-sm" style="color: var(--primary-color);">${REASONING_MODE_LABELS[mode]}</span>
+                <span class="text-xs" data-compare-badges></span>
+            </div>
+            <div class="flex-1 text-sm text-gray-700 markdown-content" data-compare-answer>
+                <div class="text-center text-gray-400 py-6"><i class="fas fa-spinner fa-spin text-xl"></i></div>
+            </div>
+            <div class="mt-3 pt-3 border-t border-gray-200 text-xs text-gray-500 space-y-1" data-compare-stats></div>
+        </div>
+    `).join('');
+
+    const results = await Promise.all(modes.map(async mode => {
+        const sessionId = `reasoning_compare_${mode}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const startedAt = performance.now();
+        try {
+            const data = await apiPost('/reasoning-chat', {
+                message: prompt,
+                sessionId,
+                reasoningMode: mode,
+                temperature: mode === 'direct' ? temperature : null
+            }, {timeout: 120000});
+            const latencyMs = performance.now() - startedAt;
+            const result = {
+                mode,
+                data,
+                latencyMs,
+                cost: recordUsage({
+                    tab: 'reasoning',
+                    model: DEFAULT_CHAT_MODEL,
+                    inputTokens: data.inputTokens,
+                    outputTokens: data.outputTokens,
+                    latencyMs
+                })
+            };
+            renderReasoningComparisonColumn(result);
+            return result;
+        } catch (error) {
+            const result = {mode, error};
+            renderReasoningComparisonColumn(result);
+            return result;
+        } finally {
+            apiPost('/reasoning-chat/clear', {sessionId}).catch(() => {});
+        }
+    }));
+
+    markReasoningComparisonLeaders(results.filter(result => !result.error));
+    button.disabled = false;
+}
+
+function renderReasoningComparisonColumn(result) {
+    const column = document.querySelector(`#reasoning-compare-results [data-compare-mode="${result.mode}"]`);
+    if (!column) return;
+
+    const answerEl = column.querySelector('[data-compare-answer]');
+    const statsEl = column.querySelector('[data-compare-stats]');
+
+    if (result.error) {
+        answerEl.innerHTML = `<p class="text-red-600">❌ ${escapeHtmlForSummary(result.error.userMessage || result.error.message)}</p>`;
+        statsEl.innerHTML = '';
+        return;
+    }
+
+    const {data, latencyMs, cost} = result;
+    answerEl.innerHTML = renderMarkdown(data.response);
+    statsEl.innerHTML = `
+        <div>⏱️ Время: <strong>${(latencyMs / 1000).toFixed(2)} с</strong></div>
+        <div>🔢 Токены: вход <strong>${data.inputTokens ?? '—'}</strong> · выход <strong>${data.outputTokens ?? '—'}</strong></div>
+        <div>💵 Стоимость: <strong>${formatCost(cost)}</strong></div>
+    `;
+}
+
+function markReasoningComparisonLeaders(results) {
+    if (results.length < 2) return;
+
+    const fastest = results.reduce((best, result) => result.latencyMs < best.latencyMs ? result : best);
+    const cheapest = results.reduce((best, result) => (result.cost?.amount ?? Infinity) < (best.cost?.amount ?? Infinity) ? result : best);
+
+    results.forEach(result => {
+        const badges = [];
+        if (result === fastest) badges.push('<span class="px-2 py-0.5 bg-green-100 text-green-700 rounded-full">⚡ быстрее</span>');
+        if (result === cheapest) badges.push('<span class="px-2 py-0.5 bg-blue-100 text-blue-700 rounded-full">💰 дешевле</span>');
+        const badgesEl = document.querySelector(`#reasoning-compare-results [data-compare-mode="${result.mode}"] [data-compare-badges]`);
+        if (badgesEl) badgesEl.innerHTML = badges.join(' ');
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initReasoningChat);
+
+if (document.getElementById('tab-models')) {
+    const tabModels = document.getElementById('tab-models');
+    const modelsContent = document.getElementById('models-content');
+    const comparisonForm = document.getElementById('comparison-form');
+    const comparisonInput = document.getElementById('comparison-input');
+    const comparisonResults = document.getElementById('comparison-results');
+    const comparisonLoading = document.getElementById('comparison-loading');
+    const comparisonQuickPrompts = document.querySelectorAll('#models-content .quick-prompt');
+    const comparisonModelsContainer = document.getElementById('comparison-models');
+    const comparisonTrialsInput = document.getElementById('comparison-trials');
+    const comparisonBlindInput = document.getElementById('comparison-blind');
+
+    const ELO_INITIAL_RATING = 1000;
+    const ELO_K_FACTOR = 32;
+    // Word diff table size limit (words of one answer × words of the other)
+    const COMPARISON_DIFF_MAX_CELLS = 4000000;
+
+    // Shown answer per card and the two cards picked for the diff, reset on every run
+    let comparisonDiffResponses = {};
+    let comparisonDiffSelection = [];
+
+    const COMPARISON_MODEL_NOTES = {
+        'meta-llama/Llama-3.2-3B-Instruct': 'компактная модель от Meta (3B параметров)',
+        'Qwen/Qwen2.5-72B-Instruct': 'мощная модель от Alibaba (72B параметров)',
+        'Sao10K/L3-8B-Lunaris-v1': 'оптимизированная модель (8B параметров)'
+    };
+
+    function escapeHtmlComparison(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    comparisonQuickPrompts.forEach(button => {
+        button.addEventListener('click', () => {
+            const promptText = button.textContent.trim().substring(2);
+            comparisonInput.value = promptText;
+        });
+    });
+
+    // Models missing from the pricing registry fall back to the server estimate (USD)
+    function getComparisonResultCost(result) {
+        return estimateCost(result.modelId, result.inputTokens, result.outputTokens)
+            || {amount: result.estimatedCost || 0, currency: 'USD'};
+    }
+
+    function recordComparisonUsage(results) {
+        results.filter(result => !result.error).forEach(result => recordUsage({
+            tab: 'models',
+            model: result.modelId,
+            sessionKey: 'comparison',
+            inputTokens: result.inputTokens,
+            outputTokens: result.outputTokens,
+            latencyMs: result.responseTimeMs,
+            cost: getComparisonResultCost(result)
+        }));
+    }
+
+    function displayComparisonResults(data) {
+        comparisonResults.innerHTML = '';
+        comparisonDiffResponses = {};
+        comparisonDiffSelection = [];
+        recordComparisonUsage(data.results);
+
+        const summaryDiv = document.createElement('div');
+        summaryDiv.className = 'bg-gray-50 rounded-xl p-4 border border-gray-200 mb-4';
+        summaryDiv.innerHTML = `
+            <div class="flex items-center justify-between mb-2">
+                <h3 class="font-bold text-lg" style="color: var(--primary-color);">📊 Результаты сравнения</h3>
+                <span class="text-sm text-gray-600">Общее время: ${data.totalTimeMs}ms</span>
+            </div>
+            <div class="text-xs text-gray-500" id="comparison-spend"></div>
+        `;
+        comparisonResults.appendChild(summaryDiv);
+        renderSessionSpend('comparison-spend', 'comparison', 'Потрачено на сравнения');
+
+        // Blind mode needs at least two answers to vote between
+        const groups = groupComparisonResults(data);
+        const participants = groups
+            .filter(group => group.trials.some(result => !result.error))
+            .map(group => ({modelId: group.modelId, modelName: group.trials[0].modelName}));
+        const blind = comparisonBlindInput?.checked && participants.length >= 2;
+
+        if (blind) {
+            summaryDiv.insertAdjacentHTML('beforeend', `
+                <div class="flex flex-wrap items-center justify-between gap-2 mt-3 pt-3 border-t border-gray-200" data-blind-controls>
+                    <span class="text-sm text-gray-600">🎭 Слепой режим: названия моделей откроются после голосования</span>
+                    <button class="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg text-sm font-semibold"
+                            data-vote-tie type="button">🤝 Ничья</button>
                 </div>
-                <div class="text-xs text-gray-500 mb-3">${result.modelId}</div>
+            `);
+        }
+
+        (blind ? shuffleComparisonGroups(groups) : groups).forEach((group, index) => {
+            const resultDiv = document.createElement('div');
+            resultDiv.className = 'border-2 border-gray-200 rounded-xl p-5 bg-white hover:shadow-lg transition-shadow';
+            resultDiv.dataset.modelId = group.modelId;
+
+            const successful = group.trials.filter(result => !result.error);
+            const alias = blind ? `Модель ${String.fromCharCode(65 + index)}` : null;
+            const shown = successful[0] || group.trials[0];
+            const stats = group.stats;
+
+            let statusBadge = '';
+            if (successful.length === 0) {
+                statusBadge = '<span class="bg-red-500 text-white px-3 py-1 rounded-full text-xs font-bold">❌ Ошибка</span>';
+            } else if (successful.length < group.trials.length) {
+                statusBadge = `<span class="bg-amber-500 text-white px-3 py-1 rounded-full text-xs font-bold">⚠️ ${successful.length} из ${group.trials.length}</span>`;
+            } else {
+                statusBadge = '<span class="bg-green-500 text-white px-3 py-1 rounded-full text-xs font-bold">✅ Успешно</span>';
+            }
+
+            const costs = group.trials.map(getComparisonResultCost);
+            const cost = {amount: costs.reduce((sum, item) => sum + item.amount, 0), currency: costs[0]?.currency || 'USD'};
+            let costDisplay = cost.amount > 0
+                ? `<div class="text-sm text-gray-600">💰 Стоимость${group.trials.length > 1 ? ' всех прогонов' : ''}: ${formatCost(cost)}</div>`
+                : '<div class="text-sm text-green-600">💚 Бесплатно</div>';
 
+            const params = [
+                group.config?.temperature != null ? `temperature ${group.config.temperature}` : null,
+                group.config?.maxTokens != null ? `max_tokens ${group.config.maxTokens}` : null
+            ].filter(Boolean).join(' · ');
+
+            const metricsHtml = group.trials.length > 1 && stats ? `
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 p-3 bg-gray-50 rounded-lg">
+                    <div>
+                        <div class="text-xs text-gray-500 mb-1">⏱️ Среднее время</div>
+                        <div class="font-bold text-sm">${Math.round(stats.meanLatencyMs)}ms</div>
+                    </div>
+                    <div>
+                        <div class="text-xs text-gray-500 mb-1">📈 p95 времени</div>
+                        <div class="font-bold text-sm">${stats.p95LatencyMs}ms</div>
+                    </div>
+                    <div>
+                        <div class="text-xs text-gray-500 mb-1">📥 Входные токены (ср.)</div>
+                        <div class="font-bold text-sm">${stats.meanInputTokens.toFixed(1)}</div>
+                    </div>
+                    <div>
+                        <div class="text-xs text-gray-500 mb-1">📤 Выходные токены (ср. ± σ)</div>
+                        <div class="font-bold text-sm" title="Дисперсия: ${stats.outputTokensVariance.toFixed(1)}">
+                            ${stats.meanOutputTokens.toFixed(1)} ± ${Math.sqrt(stats.outputTokensVariance).toFixed(1)}
+                        </div>
+                    </div>
+                </div>
+                <details class="mb-4 text-xs text-gray-600">
+                    <summary class="cursor-pointer">Прогоны (${group.trials.length})</summary>
+                    <div class="mt-2 space-y-1">
+                        ${group.trials.map(result => `
+                            <div>#${result.trial}: ${result.error
+                                ? `<span class="text-red-600">${escapeHtmlComparison(result.error)}</span>`
+                                : `${result.responseTimeMs}ms · вход ${result.inputTokens} · выход ${result.outputTokens}`}
+                            </div>
+                        `).join('')}
+                    </div>
+                </details>
+            ` : `
                 <div class="grid grid-cols-3 gap-3 mb-4 p-3 bg-gray-50 rounded-lg">
                     <div>
                         <div class="text-xs text-gray-500 mb-1">⏱️ Время ответа</div>
-                        <div class="font-bold text-sm">${result.responseTimeMs}ms</div>
+                        <div class="font-bold text-sm">${shown.responseTimeMs}ms</div>
                     </div>
                     <div>
                         <div class="text-xs text-gray-500 mb-1">📥 Входные токены</div>
-                        <div class="font-bold text-sm">${result.inputTokens}</div>
+                        <div class="font-bold text-sm">${shown.inputTokens}</div>
                     </div>
                     <div>
                         <div class="text-xs text-gray-500 mb-1">📤 Выходные токены</div>
-                        <div class="font-bold text-sm">${result.outputTokens}</div>
+                        <div class="font-bold text-sm">${shown.outputTokens}</div>
+                    </div>
+                </div>
+            `;
+
+            resultDiv.dataset.modelName = shown.modelName;
+            if (alias) resultDiv.dataset.alias = alias;
+
+            resultDiv.innerHTML = `
+                <div class="flex items-center justify-between mb-3">
+                    <div class="flex items-center gap-3">
+                        <h3 class="font-bold text-lg" data-model-title style="color: var(--primary-color);">${alias ? '🎭 ' + alias : shown.modelName}</h3>
+                        ${statusBadge}
+                    </div>
+                    <div class="flex items-center gap-3">
+                        ${participants.length >= 2 && successful.length > 0 ? `
+                            <label class="flex items-center gap-1 text-sm text-gray-600 cursor-pointer" title="Сравнить этот ответ с другим по словам">
+                                <input data-diff-select="${group.modelId}" type="checkbox"> ⇄ Diff
+                            </label>
+                        ` : ''}
+                        ${blind && successful.length > 0 ? `
+                            <button class="px-4 py-2 bg-green-500 hover:bg-green-600 text-white rounded-lg text-sm font-semibold"
+                                    data-vote-model="${group.modelId}" type="button">🏆 Лучший ответ</button>
+                        ` : ''}
                     </div>
                 </div>
+                <div class="text-xs text-gray-500 mb-3 ${blind ? 'hidden' : ''}" data-model-meta>${shown.modelId}${params ? ' · ' + params : ''}</div>
 
-                ${costDisplay}
+                ${metricsHtml}
 
-                ${result.error ?
+                <div class="${blind ? 'hidden' : ''}" data-model-meta>${costDisplay}</div>
+
+                ${successful.length === 0 ?
                 `<div class="mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
                         <div class="font-semibold text-red-700 mb-2">Ошибка:</div>
-                        <div class="text-sm text-red-600">${escapeHtmlComparison(result.error)}</div>
+                        <div class="text-sm text-red-600">${escapeHtmlComparison(shown.error)}</div>
                     </div>`
                 :
                 `<div class="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-                        <div class="font-semibold mb-2" style="color: var(--primary-color);">Ответ модели:</div>
-                        <div class="markdown-content text-sm text-gray-700">${marked.parse(result.response)}</div>
+                        <div class="font-semibold mb-2" style="color: var(--primary-color);">Ответ модели${group.trials.length > 1 ? ` (прогон #${shown.trial})` : ''}:</div>
+                        <div class="markdown-content text-sm text-gray-700">${renderMarkdown(shown.response)}</div>
                     </div>`
             }
             `;
 
+            if (successful.length > 0) {
+                comparisonDiffResponses[group.modelId] = shown.response;
+            }
             comparisonResults.appendChild(resultDiv);
         });
+
+        if (participants.length >= 2) {
+            const diffPanel = document.createElement('div');
+            diffPanel.id = 'comparison-diff';
+            diffPanel.className = 'hidden border-2 border-gray-200 rounded-xl p-5 bg-white';
+            comparisonResults.appendChild(diffPanel);
+
+            comparisonResults.querySelectorAll('[data-diff-select]').forEach(checkbox => {
+                checkbox.addEventListener('change', () => toggleComparisonDiffSelection(checkbox));
+            });
+        }
+
+        if (blind) {
+            comparisonResults.querySelectorAll('[data-vote-model]').forEach(button => {
+                button.addEventListener('click', () => submitBlindVote(participants, button.dataset.voteModel));
+            });
+            comparisonResults.querySelector('[data-vote-tie]')
+                .addEventListener('click', () => submitBlindVote(participants, null));
+        }
+    }
+
+    // Keeps the two most recently picked cards; picking a third drops the oldest
+    function toggleComparisonDiffSelection(checkbox) {
+        const modelId = checkbox.dataset.diffSelect;
+        comparisonDiffSelection = comparisonDiffSelection.filter(id => id !== modelId);
+        if (checkbox.checked) {
+            comparisonDiffSelection.push(modelId);
+            if (comparisonDiffSelection.length > 2) {
+                const dropped = comparisonDiffSelection.shift();
+                comparisonResults.querySelector(`[data-diff-select="${dropped}"]`).checked = false;
+            }
+        }
+        renderComparisonDiff();
+    }
+
+    function renderComparisonDiff() {
+        const panel = document.getElementById('comparison-diff');
+        if (!panel) return;
+
+        if (comparisonDiffSelection.length < 2) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        // Titles are read from the cards so blind mode keeps its aliases until the vote
+        const [left, right] = comparisonDiffSelection.map(modelId => ({
+            title: comparisonResults.querySelector(`[data-model-id="${modelId}"] [data-model-title]`).textContent,
+            words: splitDiffWords(comparisonDiffResponses[modelId])
+        }));
+        panel.classList.remove('hidden');
+
+        if (left.words.length * right.words.length > COMPARISON_DIFF_MAX_CELLS) {
+            panel.innerHTML = '<p class="text-sm text-gray-600">Ответы слишком длинные для пословного сравнения</p>';
+            return;
+        }
+
+        const {leftKept, rightKept, common} = diffWords(left.words, right.words);
+        const total = left.words.length + right.words.length;
+        const similarity = total > 0 ? common * 2 / total * 100 : 100;
+
+        const renderSide = (side, kept, changedClass) => side.words.map((word, index) => kept[index]
+            ? escapeHtmlComparison(word)
+            : `<span class="${changedClass} rounded">${escapeHtmlComparison(word)}</span>`
+        ).join('');
+
+        panel.innerHTML = `
+            <div class="flex items-center justify-between mb-3">
+                <h3 class="font-bold text-lg" style="color: var(--primary-color);">⇄ Пословное сравнение</h3>
+                <span class="text-sm font-bold text-gray-700">Сходство: ${similarity.toFixed(1)}%</span>
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                    <div class="font-semibold text-sm mb-2">${escapeHtmlComparison(left.title)}</div>
+                    <div class="text-sm text-gray-700 whitespace-pre-wrap p-3 bg-gray-50 rounded-lg max-h-96 overflow-y-auto">${renderSide(left, leftKept, 'bg-red-100 text-red-800 line-through')}</div>
+                </div>
+                <div>
+                    <div class="font-semibold text-sm mb-2">${escapeHtmlComparison(right.title)}</div>
+                    <div class="text-sm text-gray-700 whitespace-pre-wrap p-3 bg-gray-50 rounded-lg max-h-96 overflow-y-auto">${renderSide(right, rightKept, 'bg-green-100 text-green-800')}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Words keep their trailing whitespace so the diff renders with the original line breaks
+    function splitDiffWords(text) {
+        return (text || '').trim().match(/\S+\s*/g) || [];
+    }
+
+    // Longest common subsequence of words (whitespace ignored); marks the words on each side that belong to it
+    function diffWords(leftWords, rightWords) {
+        const a = leftWords.map(word => word.trim());
+        const b = rightWords.map(word => word.trim());
+        const width = b.length + 1;
+        const table = new Uint32Array((a.length + 1) * width);
+
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i * width + j] = a[i] === b[j]
+                    ? table[(i + 1) * width + j + 1] + 1
+                    : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+            }
+        }
+
+        const leftKept = new Array(a.length).fill(false);
+        const rightKept = new Array(b.length).fill(false);
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                leftKept[i++] = true;
+                rightKept[j++] = true;
+            } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+
+        return {leftKept, rightKept, common: table[0]};
+    }
+
+    function shuffleComparisonGroups(groups) {
+        const shuffled = [...groups];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    // winnerId = null is a tie between all answered models
+    function submitBlindVote(participants, winnerId) {
+        const changes = applyEloVote(participants, winnerId);
+
+        comparisonResults.querySelector('[data-blind-controls]')?.remove();
+        comparisonResults.querySelectorAll('[data-vote-model]').forEach(button => button.remove());
+        comparisonResults.querySelectorAll('[data-model-id]').forEach(card => {
+            const title = card.querySelector('[data-model-title]');
+            if (card.dataset.alias) {
+                title.textContent = `${card.dataset.alias}: ${card.dataset.modelName}`;
+            }
+            card.querySelectorAll('[data-model-meta]').forEach(el => el.classList.remove('hidden'));
+
+            const change = changes[card.dataset.modelId];
+            if (change !== undefined) {
+                title.insertAdjacentHTML('afterend', `
+                    <span class="text-xs font-bold ${change >= 0 ? 'text-green-600' : 'text-red-600'}">
+                        ${change >= 0 ? '+' : ''}${change.toFixed(1)} Elo
+                    </span>
+                `);
+            }
+            if (card.dataset.modelId === winnerId) {
+                card.classList.replace('border-gray-200', 'border-green-500');
+            }
+        });
+
+        renderComparisonLeaderboard();
+        renderComparisonDiff();
+        showNotification(winnerId ? '🏆 Голос учтён' : '🤝 Ничья учтена', 'success');
     }
 
+    function getModelLeaderboard() {
+        return JSON.parse(localStorage.getItem('modelLeaderboard') || '{}');
+    }
+
+    // The winner beats every other answered model; a tie is a draw in every pair.
+    // All pairs use the ratings from before the vote. Returns the rating change per model.
+    function applyEloVote(participants, winnerId) {
+        const board = getModelLeaderboard();
+        participants.forEach(({modelId, modelName}) => {
+            board[modelId] = board[modelId] || {name: modelName, rating: ELO_INITIAL_RATING, wins: 0, losses: 0, ties: 0};
+            board[modelId].name = modelName;
+        });
+
+        const changes = {};
+        participants.forEach(({modelId}) => changes[modelId] = 0);
+
+        for (let i = 0; i < participants.length; i++) {
+            for (let j = i + 1; j < participants.length; j++) {
+                const a = participants[i].modelId;
+                const b = participants[j].modelId;
+                let scoreA;
+                if (winnerId === null) scoreA = 0.5;
+                else if (a === winnerId) scoreA = 1;
+                else if (b === winnerId) scoreA = 0;
+                else continue;
+
+                const expectedA = 1 / (1 + Math.pow(10, (board[b].rating - board[a].rating) / 400));
+                changes[a] += ELO_K_FACTOR * (scoreA - expectedA);
+                changes[b] += ELO_K_FACTOR * (expectedA - scoreA);
+            }
+        }
+
+        participants.forEach(({modelId}) => {
+            const entry = board[modelId];
+            entry.rating += changes[modelId];
+            if (winnerId === null) entry.ties++;
+            else if (modelId === winnerId) entry.wins++;
+            else entry.losses++;
+        });
+
+        localStorage.setItem('modelLeaderboard', JSON.stringify(board));
+        return changes;
+    }
+
+    function renderComparisonLeaderboard() {
+        const panel = document.getElementById('comparison-leaderboard');
+        const body = document.getElementById('comparison-leaderboard-body');
+        if (!panel || !body) return;
+
+        const entries = Object.entries(getModelLeaderboard()).sort(([, a], [, b]) => b.rating - a.rating);
+        panel.classList.toggle('hidden', entries.length === 0);
+
+        body.innerHTML = entries.map(([modelId, entry], index) => `
+            <tr class="border-t border-gray-200">
+                <td class="py-2 pr-2 font-bold">${index + 1}</td>
+                <td class="py-2 pr-2">
+                    <div class="font-semibold text-gray-800">${escapeHtmlComparison(entry.name)}</div>
+                    <div class="text-xs text-gray-500">${escapeHtmlComparison(modelId)}</div>
+                </td>
+                <td class="py-2 pr-2 font-bold" style="color: var(--primary-color);">${Math.round(entry.rating)}</td>
+                <td class="py-2 pr-2 text-gray-600">${entry.wins} / ${entry.ties} / ${entry.losses}</td>
+            </tr>
+        `).join('');
+    }
+
+    document.getElementById('reset-leaderboard-btn')?.addEventListener('click', () => {
+        if (!confirm('Сбросить рейтинг моделей?')) return;
+        localStorage.removeItem('modelLeaderboard');
+        renderComparisonLeaderboard();
+    });
+
+    renderComparisonLeaderboard();
+
+    // One group per compared model, in the order the models were sent
+    function groupComparisonResults(data) {
+        const groups = [];
+        data.results.forEach(result => {
+            let group = groups.find(item => item.modelId === result.modelId);
+            if (!group) {
+                group = {
+                    modelId: result.modelId,
+                    trials: [],
+                    stats: (data.stats || []).find(stats => stats.modelId === result.modelId) || null,
+                    config: (data.requestedModels || []).find(config => config.modelId === result.modelId) || null
+                };
+                groups.push(group);
+            }
+            group.trials.push(result);
+        });
+        return groups;
+    }
+
+    async function loadComparisonModels() {
+        if (!comparisonModelsContainer) return;
+
+        try {
+            const models = await apiGet('/model-comparison/models');
+            comparisonModelsContainer.innerHTML = models.map(model => `
+                <div class="flex flex-wrap items-center gap-3 text-sm text-gray-600" data-comparison-model="${escapeHtmlComparison(model.id)}">
+                    <label class="flex-1 flex items-start gap-2 min-w-0">
+                        <input checked class="mt-1" data-field="enabled" type="checkbox">
+                        <span><strong>${escapeHtmlComparison(model.name)}</strong>${COMPARISON_MODEL_NOTES[model.id] ? ' - ' + COMPARISON_MODEL_NOTES[model.id] : ''}</span>
+                    </label>
+                    <input class="w-28 px-2 py-1 border border-gray-300 rounded text-xs" data-field="temperature" max="2" min="0"
+                           placeholder="temperature" step="0.1" title="Температура (пусто — по умолчанию)" type="number">
+                    <input class="w-28 px-2 py-1 border border-gray-300 rounded text-xs" data-field="maxTokens" max="4096" min="1"
+                           placeholder="max tokens" step="1" title="Максимум токенов ответа (пусто — по умолчанию)" type="number">
+                </div>
+            `).join('');
+        } catch (error) {
+            reportApiError(error, 'Не удалось загрузить список моделей');
+            comparisonModelsContainer.innerHTML = '<p class="text-sm text-red-600">Список моделей недоступен</p>';
+        }
+    }
+
+    // Returns the selected model configs, or null after telling the user what is wrong
+    function collectComparisonConfigs() {
+        const configs = [];
+        for (const row of comparisonModelsContainer.querySelectorAll('[data-comparison-model]')) {
+            if (!row.querySelector('[data-field="enabled"]').checked) continue;
+
+            const temperatureValue = row.querySelector('[data-field="temperature"]').value;
+            const maxTokensValue = row.querySelector('[data-field="maxTokens"]').value;
+            const temperature = temperatureValue === '' ? null : parseFloat(temperatureValue);
+            const maxTokens = maxTokensValue === '' ? null : parseInt(maxTokensValue);
+
+            if (temperature !== null && (isNaN(temperature) || temperature < 0 || temperature > 2)) {
+                showNotification('❌ Температура должна быть от 0 до 2', 'error');
+                return null;
+            }
+            if (maxTokens !== null && (isNaN(maxTokens) || maxTokens < 1 || maxTokens > 4096)) {
+                showNotification('❌ Максимум токенов должен быть от 1 до 4096', 'error');
+                return null;
+            }
+            configs.push({modelId: row.dataset.comparisonModel, temperature, maxTokens});
+        }
+
+        if (configs.length === 0) {
+            showNotification('❌ Выберите хотя бы одну модель', 'error');
+            return null;
+        }
+        return configs;
+    }
+
+    loadComparisonModels();
+
     comparisonForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         const query = comparisonInput.value.trim();
         if (!query) return;
 
+        const models = collectComparisonConfigs();
+        if (!models) return;
+        const trials = Math.min(Math.max(parseInt(comparisonTrialsInput?.value) || 1, 1), 10);
+
         comparisonResults.innerHTML = '';
         comparisonLoading.classList.remove('hidden');
 
-        try {
-            console.log('Sending comparison request with query:', query);
+        try {
+            console.log('Sending comparison request with query:', query);
+
+            const data = await apiPost('/model-comparison', {query, models, trials}, {timeout: 120000 * trials});
+            console.log('Comparison results:', data);
+
+            comparisonLoading.classList.add('hidden');
+            displayComparisonResults({...data, requestedModels: models});
+        } catch (error) {
+            reportApiError(error, 'Ошибка сравнения моделей');
+            comparisonLoading.classList.add('hidden');
+            comparisonResults.innerHTML = `
+                <div class="bg-red-50 border border-red-200 rounded-xl p-4">
+                    <div class="font-semibold text-red-700 mb-2">Произошла ошибка при сравнении моделей</div>
+                    <div class="text-sm text-red-600 mb-2"><strong>Сообщение:</strong> ${escapeHtmlComparison(error.userMessage || error.message)}</div>
+                    <div class="text-xs text-gray-600">Проверьте консоль браузера (F12) для подробностей</div>
+                </div>
+            `;
+        }
+    });
+
+    // ============= PROMPT SUITES =============
+    // A suite is a named list of queries, each with optional expected keywords.
+    // Suites are stored in localStorage and run one query at a time through /model-comparison.
+
+    const suiteSelect = document.getElementById('suite-select');
+    const suiteProgress = document.getElementById('suite-progress');
+    const suiteRunBtn = document.getElementById('suite-run-btn');
+    const suiteStopBtn = document.getElementById('suite-stop-btn');
+    let editingSuiteId = null;
+    let suiteRunCancelled = false;
+
+    function getPromptSuites() {
+        return JSON.parse(localStorage.getItem('promptSuites') || '[]');
+    }
+
+    function savePromptSuites(suites) {
+        localStorage.setItem('promptSuites', JSON.stringify(suites));
+    }
+
+    function renderSuiteSelect(selectedId = suiteSelect?.value) {
+        if (!suiteSelect) return;
+
+        const suites = getPromptSuites();
+        suiteSelect.innerHTML = suites.length > 0
+            ? suites.map(suite => `<option value="${suite.id}">${escapeHtmlComparison(suite.name)} (${suite.prompts.length})</option>`).join('')
+            : '<option value="">Нет сохранённых наборов</option>';
+        if (suites.some(suite => suite.id === selectedId)) {
+            suiteSelect.value = selectedId;
+        }
+        suiteRunBtn.disabled = suites.length === 0;
+    }
+
+    function openSuiteEditor(suite = null) {
+        editingSuiteId = suite?.id || null;
+        document.getElementById('suite-name-input').value = suite?.name || '';
+        document.getElementById('suite-prompts-body').innerHTML = '';
+        (suite?.prompts || [{query: '', expectedKeywords: []}]).forEach(addSuitePromptRow);
+        document.getElementById('suite-modal').classList.remove('hidden');
+    }
+
+    function closeSuiteEditor() {
+        document.getElementById('suite-modal').classList.add('hidden');
+    }
+
+    function addSuitePromptRow(prompt = {query: '', expectedKeywords: []}) {
+        const row = document.createElement('tr');
+        row.className = 'border-t border-gray-200';
+        row.innerHTML = `
+            <td class="py-2 pr-2"><input class="w-full px-2 py-1 border border-gray-300 rounded text-sm" data-field="query" placeholder="Запрос"></td>
+            <td class="py-2 pr-2"><input class="w-full px-2 py-1 border border-gray-300 rounded text-sm" data-field="keywords" placeholder="слово, другое слово"></td>
+            <td class="py-2 text-right">
+                <button class="text-red-500 hover:text-red-700" title="Удалить" type="button">✕</button>
+            </td>
+        `;
+        row.querySelector('[data-field="query"]').value = prompt.query;
+        row.querySelector('[data-field="keywords"]').value = prompt.expectedKeywords.join(', ');
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        document.getElementById('suite-prompts-body').appendChild(row);
+    }
+
+    function saveSuiteFromEditor() {
+        const name = document.getElementById('suite-name-input').value.trim();
+        if (!name) {
+            showNotification('❌ Укажите название набора', 'error');
+            return;
+        }
+
+        const prompts = [...document.querySelectorAll('#suite-prompts-body tr')]
+            .map(row => ({
+                query: row.querySelector('[data-field="query"]').value.trim(),
+                expectedKeywords: row.querySelector('[data-field="keywords"]').value
+                    .split(',').map(keyword => keyword.trim()).filter(Boolean)
+            }))
+            .filter(prompt => prompt.query);
+        if (prompts.length === 0) {
+            showNotification('❌ Добавьте хотя бы один запрос', 'error');
+            return;
+        }
+
+        const suites = getPromptSuites();
+        const existing = suites.find(suite => suite.id === editingSuiteId);
+        if (existing) {
+            existing.name = name;
+            existing.prompts = prompts;
+        } else {
+            editingSuiteId = 'suite_' + Date.now().toString(36);
+            suites.push({id: editingSuiteId, name, prompts});
+        }
+        savePromptSuites(suites);
+        renderSuiteSelect(editingSuiteId);
+        closeSuiteEditor();
+        showNotification('✅ Набор сохранён', 'success');
+    }
+
+    function deleteSelectedSuite() {
+        const suite = getPromptSuites().find(item => item.id === suiteSelect.value);
+        if (!suite || !confirm(`Удалить набор «${suite.name}»?`)) return;
+
+        savePromptSuites(getPromptSuites().filter(item => item.id !== suite.id));
+        renderSuiteSelect();
+    }
+
+    // A trial passes when its answer contains every expected keyword (case-insensitive)
+    function checkSuiteKeywords(response, keywords) {
+        const text = (response || '').toLowerCase();
+        return keywords.every(keyword => text.includes(keyword.toLowerCase()));
+    }
+
+    async function runPromptSuite() {
+        const suite = getPromptSuites().find(item => item.id === suiteSelect.value);
+        if (!suite) return;
+
+        const models = collectComparisonConfigs();
+        if (!models) return;
+        const trials = Math.min(Math.max(parseInt(comparisonTrialsInput?.value) || 1, 1), 10);
+
+        suiteRunCancelled = false;
+        suiteRunBtn.disabled = true;
+        suiteStopBtn.classList.remove('hidden');
+        comparisonResults.innerHTML = '';
+
+        // rows[promptIndex] = {prompt, results} or {prompt, error}
+        const rows = [];
+        for (const [index, prompt] of suite.prompts.entries()) {
+            if (suiteRunCancelled) break;
+            suiteProgress.textContent = `⏳ Запрос ${index + 1} из ${suite.prompts.length}: ${truncateText(prompt.query, 60)}`;
+
+            try {
+                const data = await apiPost('/model-comparison', {query: prompt.query, models, trials}, {timeout: 120000 * trials});
+                recordComparisonUsage(data.results);
+                rows.push({prompt, results: data.results});
+            } catch (error) {
+                if (error instanceof ApiError && error.kind === 'aborted') break;
+                console.error('Suite prompt failed:', error);
+                rows.push({prompt, error: error.userMessage || error.message});
+            }
+            renderSuiteMatrix(suite, models, rows);
+        }
+
+        suiteProgress.textContent = suiteRunCancelled
+            ? `⏹️ Остановлено: выполнено ${rows.length} из ${suite.prompts.length}`
+            : `✅ Набор «${suite.name}» выполнен`;
+        suiteRunBtn.disabled = false;
+        suiteStopBtn.classList.add('hidden');
+    }
+
+    function renderSuiteMatrix(suite, models, rows) {
+        const modelNames = {};
+        rows.forEach(row => (row.results || []).forEach(result => modelNames[result.modelId] = result.modelName));
+        const totals = Object.fromEntries(models.map(model => [model.modelId, {passed: 0, checked: 0, latency: [], costs: []}]));
 
-            const response = await fetch('/model-comparison', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({query})
-            });
+        const cell = (row, modelId) => {
+            if (row.error) return '<td class="p-2 text-red-600 text-xs">Ошибка запроса</td>';
 
-            console.log('Response status:', response.status);
+            const trials = row.results.filter(result => result.modelId === modelId);
+            const successful = trials.filter(result => !result.error);
+            if (successful.length === 0) {
+                return `<td class="p-2 text-red-600 text-xs" title="${escapeHtmlComparison(trials[0]?.error || '')}">❌ Ошибка</td>`;
+            }
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Error response:', errorText);
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
+            const total = totals[modelId];
+            const meanLatency = successful.reduce((sum, result) => sum + result.responseTimeMs, 0) / successful.length;
+            const costs = successful.map(getComparisonResultCost);
+            const cost = {amount: costs.reduce((sum, item) => sum + item.amount, 0), currency: costs[0].currency};
+            total.latency.push(meanLatency);
+            total.costs.push(cost);
+
+            let verdict = '<span class="text-gray-400">—</span>';
+            if (row.prompt.expectedKeywords.length > 0) {
+                const passed = successful.filter(result => checkSuiteKeywords(result.response, row.prompt.expectedKeywords)).length;
+                total.passed += passed;
+                total.checked += successful.length;
+                verdict = successful.length === 1
+                    ? (passed === 1 ? '✅' : '❌')
+                    : `${passed === successful.length ? '✅' : passed === 0 ? '❌' : '⚠️'} ${passed}/${successful.length}`;
             }
 
-            const data = await response.json();
-            console.log('Comparison results:', data);
+            return `
+                <td class="p-2">
+                    <div class="font-bold">${verdict}</div>
+                    <div class="text-xs text-gray-500">${Math.round(meanLatency)}ms · ${cost.amount > 0 ? formatCost(cost) : 'бесплатно'}</div>
+                </td>
+            `;
+        };
 
-            comparisonLoading.classList.add('hidden');
-            displayComparisonResults(data);
-        } catch (error) {
-            console.error('Comparison error:', error);
-            comparisonLoading.classList.add('hidden');
-            comparisonResults.innerHTML = `
-                <div class="bg-red-50 border border-red-200 rounded-xl p-4">
-                    <div class="font-semibold text-red-700 mb-2">Произошла ошибка при сравнении моделей</div>
-                    <div class="text-sm text-red-600 mb-2"><strong>Сообщение:</strong> ${escapeHtmlComparison(error.message)}</div>
-                    <div class="text-xs text-gray-600">Проверьте консоль браузера (F12) для подробностей</div>
-                </div>
+        const bodyRows = rows.map(row => `
+            <tr class="border-t border-gray-200 align-top">
+                <td class="p-2">
+                    <div class="text-gray-800">${escapeHtmlComparison(row.prompt.query)}</div>
+                    ${row.prompt.expectedKeywords.length > 0
+                        ? `<div class="text-xs text-gray-500">Ожидается: ${escapeHtmlComparison(row.prompt.expectedKeywords.join(', '))}</div>`
+                        : ''}
+                </td>
+                ${models.map(model => cell(row, model.modelId)).join('')}
+            </tr>
+        `).join('');
+
+        const totalsRow = models.map(model => {
+            const total = totals[model.modelId];
+            const meanLatency = total.latency.length > 0
+                ? Math.round(total.latency.reduce((sum, value) => sum + value, 0) / total.latency.length) + 'ms'
+                : '—';
+            const costAmount = total.costs.reduce((sum, item) => sum + item.amount, 0);
+            return `
+                <td class="p-2">
+                    <div class="font-bold">${total.checked > 0 ? `${total.passed}/${total.checked}` : '—'}</div>
+                    <div class="text-xs text-gray-500">${meanLatency} · ${costAmount > 0 ? formatCost({amount: costAmount, currency: total.costs[0].currency}) : 'бесплатно'}</div>
+                </td>
             `;
-        }
-    });
+        }).join('');
+
+        comparisonResults.innerHTML = `
+            <div class="bg-white rounded-xl p-4 border border-gray-200 overflow-x-auto">
+                <h3 class="font-bold text-lg mb-3" style="color: var(--primary-color);">📚 ${escapeHtmlComparison(suite.name)}: ${rows.length} из ${suite.prompts.length}</h3>
+                <table class="w-full text-sm">
+                    <thead>
+                    <tr class="text-left text-xs text-gray-500">
+                        <th class="p-2">Запрос</th>
+                        ${models.map(model => `<th class="p-2">${escapeHtmlComparison(modelNames[model.modelId] || model.modelId)}</th>`).join('')}
+                    </tr>
+                    </thead>
+                    <tbody>${bodyRows}</tbody>
+                    <tfoot>
+                    <tr class="border-t-2 border-gray-300 bg-gray-50">
+                        <td class="p-2 font-semibold">Итого (ключевые слова · ср. время · стоимость)</td>
+                        ${totalsRow}
+                    </tr>
+                    </tfoot>
+                </table>
+            </div>
+        `;
+    }
+
+    if (suiteSelect) {
+        document.getElementById('suite-new-btn').addEventListener('click', () => openSuiteEditor());
+        document.getElementById('suite-edit-btn').addEventListener('click', () => {
+            const suite = getPromptSuites().find(item => item.id === suiteSelect.value);
+            if (suite) openSuiteEditor(suite);
+        });
+        document.getElementById('suite-delete-btn').addEventListener('click', deleteSelectedSuite);
+        document.getElementById('suite-add-prompt-btn').addEventListener('click', () => addSuitePromptRow());
+        document.getElementById('suite-save-btn').addEventListener('click', saveSuiteFromEditor);
+        document.getElementById('suite-close-btn').addEventListener('click', closeSuiteEditor);
+        suiteRunBtn.addEventListener('click', runPromptSuite);
+        suiteStopBtn.addEventListener('click', () => {
+            suiteRunCancelled = true;
+            suiteProgress.textContent = '⏹️ Остановка после текущего запроса...';
+        });
+        renderSuiteSelect();
+    }
 }
 
 const clearChatBtn = document.getElementById('clear-chat-btn');
@@ -1335,24 +3285,13 @@ if (clearChatBtn) {
         if (!confirmed) return;
 
         try {
-            const response = await fetch('/chat/clear', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    sessionId: sessionId
-                })
+            await apiPost('/chat/clear', {
+                sessionId: sessionId
             });
 
-            if (!response.ok) {
-                throw new Error('Ошибка при очистке диалога');
-            }
-
             deleteSession(sessionId);
         } catch (error) {
-            console.error('Error clearing chat:', error);
-            alert('Произошла ошибка при очистке диалога: ' + error.message);
+            reportApiError(error, 'Произошла ошибка при очистке диалога');
         }
     });
 }
@@ -1368,8 +3307,11 @@ const sessionsListBtn = document.getElementById('sessions-list-btn');
 const sessionsModal = document.getElementById('sessions-modal');
 const closeSessionsModal = document.getElementById('close-sessions-modal');
 
+const sessionsSearch = document.getElementById('sessions-search');
+
 if (sessionsListBtn && sessionsModal) {
     sessionsListBtn.addEventListener('click', () => {
+        if (sessionsSearch) sessionsSearch.value = '';
         renderSessionsList();
         sessionsModal.classList.remove('hidden');
     });
@@ -1381,29 +3323,145 @@ if (closeSessionsModal && sessionsModal) {
     });
 }
 
-function renderSessionsList() {
+if (sessionsSearch) {
+    sessionsSearch.addEventListener('input', () => {
+        drawSessionsList(sessionsSearch.value);
+    });
+}
+
+// Sessions loaded for the browser: { sessionId, title, preview, lastActivity, texts }
+let sessionsBrowserData = [];
+
+// Plain text of a stored message; assistant JSON answers are reduced to their "answer" field
+function getSessionMessageText(msg) {
+    const text = (msg.content || [])
+        .filter(block => block.type === 'text' && block.text)
+        .map(block => block.text)
+        .join(' ')
+        .trim();
+
+    if (msg.role === 'assistant' && text) {
+        try {
+            const parsed = JSON.parse(text.replace(/```json/g, '').replace(/```/g, '').trim());
+            if (parsed && parsed.answer) return String(parsed.answer);
+        } catch (e) {
+            // Plain text answer
+        }
+    }
+    return text;
+}
+
+function truncateText(text, maxLength) {
+    const singleLine = text.replace(/\s+/g, ' ').trim();
+    return singleLine.length > maxLength ? singleLine.substring(0, maxLength) + '…' : singleLine;
+}
+
+async function fetchSessionSummary(sid) {
+    const createdAt = parseInt(sid.split('_')[1]) || 0;
+    const summary = { sessionId: sid, title: 'Новый диалог', preview: '', lastActivity: createdAt, texts: [] };
+
+    try {
+        const data = await apiGet(`/chat/messages/${sid}`);
+        let messages = data.messages || [];
+        const imported = getImportedTranscript(sid);
+        if (messages.length === 0 && imported) {
+            messages = imported.map(entry => ({ role: entry.role, content: [{ type: 'text', text: entry.content }] }));
+        }
+
+        const texts = messages
+            .map(msg => ({ role: msg.role, text: getSessionMessageText(msg) }))
+            .filter(item => item.text);
+
+        const firstUserMessage = texts.find(item => item.role === 'user');
+        if (firstUserMessage) summary.title = truncateText(firstUserMessage.text, 60);
+        if (texts.length > 0) {
+            const last = texts[texts.length - 1];
+            summary.preview = (last.role === 'user' ? 'Вы: ' : 'Тренер: ') + truncateText(last.text, 120);
+        }
+        summary.texts = texts.map(item => item.text);
+        summary.lastActivity = data.lastMessageTime || createdAt;
+    } catch (error) {
+        console.warn(`Failed to load session ${sid}:`, error);
+    }
+    return summary;
+}
+
+async function renderSessionsList() {
     const container = document.getElementById('sessions-list');
     if (!container) return;
 
     const sessions = getAllSessions();
-    const currentSessionId = localStorage.getItem('currentSessionId');
 
     if (sessions.length === 0) {
         container.innerHTML = '<p class="text-gray-500 text-center py-4">Нет сохранённых диалогов</p>';
         return;
     }
 
-    container.innerHTML = sessions.map((sid, index) => {
+    container.innerHTML = '<p class="text-gray-500 text-center py-4">⏳ Загрузка диалогов...</p>';
+
+    sessionsBrowserData = await Promise.all(sessions.map(fetchSessionSummary));
+    sessionsBrowserData.sort((a, b) => b.lastActivity - a.lastActivity);
+
+    drawSessionsList(sessionsSearch ? sessionsSearch.value : '');
+}
+
+// Escape text and wrap every occurrence of the query in <mark>
+// Matches are found in the raw text and every piece is escaped on its own,
+// so a query never matches inside an HTML entity
+function highlightMatch(text, query) {
+    if (!query) return escapeHtmlSessions(text);
+    const pattern = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return text.split(new RegExp(`(${pattern})`, 'gi'))
+        .map((part, index) => index % 2 === 1 ? `<mark>${escapeHtmlSessions(part)}</mark>` : escapeHtmlSessions(part))
+        .join('');
+}
+
+function escapeHtmlSessions(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function drawSessionsList(query) {
+    const container = document.getElementById('sessions-list');
+    if (!container) return;
+
+    const currentSessionId = localStorage.getItem('currentSessionId');
+    const normalizedQuery = (query || '').trim().toLowerCase();
+
+    const visible = sessionsBrowserData.map(session => {
+        if (!normalizedQuery) return { session, snippet: null };
+
+        if (session.title.toLowerCase().includes(normalizedQuery)) return { session, snippet: null };
+
+        const matchText = session.texts.find(text => text.toLowerCase().includes(normalizedQuery));
+        if (!matchText) return null;
+
+        // Show a short fragment around the first match instead of the last message
+        const index = matchText.toLowerCase().indexOf(normalizedQuery);
+        const start = Math.max(0, index - 50);
+        const fragment = (start > 0 ? '…' : '') + truncateText(matchText.substring(start), 140);
+        return { session, snippet: fragment };
+    }).filter(Boolean);
+
+    if (visible.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center py-4">Ничего не найдено</p>';
+        return;
+    }
+
+    container.innerHTML = visible.map(({ session, snippet }) => {
+        const sid = session.sessionId;
         const isCurrent = sid === currentSessionId;
-        const date = new Date(parseInt(sid.split('_')[1]));
-        const dateStr = date.toLocaleString('ru-RU');
+        const dateStr = session.lastActivity ? new Date(session.lastActivity).toLocaleString('ru-RU') : '';
+        const previewText = snippet || session.preview || 'Сообщений пока нет';
 
         return `
             <div class="flex items-center justify-between p-3 border rounded-lg ${
             isCurrent ? 'border-blue-500 bg-blue-50' : 'border-gray-200'
         }">
-                <div class="flex-1">
-                    <div class="font-semibold">${isCurrent ? '🟢 ' : ''}Диалог ${index + 1}</div>
+                <div class="flex-1 min-w-0 mr-3">
+                    <div class="font-semibold truncate">${isCurrent ? '🟢 ' : ''}${highlightMatch(session.title, query.trim())}</div>
+                    <div class="text-sm text-gray-600 truncate">${highlightMatch(previewText, query.trim())}</div>
                     <div class="text-xs text-gray-500">${dateStr}</div>
                 </div>
                 <div class="flex space-x-2">
@@ -1426,27 +3484,39 @@ function renderSessionsList() {
 function confirmDeleteSession(sid) {
     if (confirm('Удалить этот диалог?')) {
         deleteSession(sid);
+        renderSessionsList();
     }
 }
 
 // Load chat history from server
-async function loadChatHistory(sessionId) {
-    try {
-        const response = await fetch(`/chat/messages/${sessionId}`);
-        if (!response.ok) {
-            console.warn('Failed to load chat history');
-            return;
-        }
+async function loadChatHistory(historySessionId) {
+    // Sessions imported from a file exist only in this browser: shown without asking the server, for review only
+    const imported = getImportedTranscript(historySessionId);
+    if (imported) {
+        clearChatMessages();
+        let turn = -1;
+        imported.forEach(entry => {
+            if (entry.role === 'user') turn++;
+            addMessage(entry.role, entry.content, entry.structuredResponse || null,
+                entry.inputTokens ?? null, entry.outputTokens ?? null).dataset.turn = turn;
+            chatTranscript.push(entry);
+        });
+        updateMessageActions();
+        markChatReadOnly();
+        console.log(`Loaded ${imported.length} imported messages`);
+        return;
+    }
 
-        const data = await response.json();
+    try {
+        const data = await apiGet(`/chat/messages/${historySessionId}`);
         const messages = data.messages || [];
+        // Another session was opened while this history was loading
+        if (historySessionId !== sessionId) return;
 
-        // Clear current messages except the welcome message
-        while (messagesContainer.children.length > 1) {
-            messagesContainer.removeChild(messagesContainer.lastChild);
-        }
+        clearChatMessages();
 
         // Add messages from history
+        let turn = -1;
         messages.forEach(msg => {
             if (msg.role === 'user') {
                 // Extract text from content blocks
@@ -1455,7 +3525,9 @@ async function loadChatHistory(sessionId) {
                     .map(block => block.text)
                     .join(' ');
                 if (text) {
-                    addMessage('user', text);
+                    turn++;
+                    addMessage('user', text).dataset.turn = turn;
+                    chatTranscript.push({role: 'user', content: text});
                 }
             } else if (msg.role === 'assistant') {
                 // Extract text from content blocks
@@ -1476,14 +3548,230 @@ async function loadChatHistory(sessionId) {
                         // Not a structured response, use plain text
                     }
 
-                    addMessage('assistant', text, structuredResponse);
+                    addMessage('assistant', text, structuredResponse).dataset.turn = turn;
+                    chatTranscript.push({
+                        role: 'assistant',
+                        content: text,
+                        structuredResponse,
+                        inputTokens: null,
+                        outputTokens: null,
+                        answerTimestamp: structuredResponse?.answerTimestamp || null
+                    });
                 }
             }
         });
 
+        updateMessageActions();
         console.log(`Loaded ${messages.length} messages from history`);
     } catch (error) {
-        console.error('Error loading chat history:', error);
+        reportApiError(error, 'Не удалось загрузить историю диалога');
+    }
+}
+
+// Export / import of the training chat
+const exportChatBtn = document.getElementById('export-chat-btn');
+const exportMenu = document.getElementById('export-menu');
+const importChatBtn = document.getElementById('import-chat-btn');
+const importFileInput = document.getElementById('import-file-input');
+
+if (exportChatBtn && exportMenu) {
+    exportChatBtn.addEventListener('click', () => {
+        exportMenu.classList.toggle('hidden');
+    });
+
+    exportMenu.querySelectorAll('[data-export]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            exportMenu.classList.add('hidden');
+            exportChat(btn.dataset.export);
+        });
+    });
+}
+
+if (importChatBtn && importFileInput) {
+    importChatBtn.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', async () => {
+        const file = importFileInput.files[0];
+        importFileInput.value = '';
+        if (file) {
+            await importChatFromFile(file);
+        }
+    });
+}
+
+// Clear current messages except the welcome message
+function clearChatMessages() {
+    while (messagesContainer.children.length > 1) {
+        messagesContainer.removeChild(messagesContainer.lastChild);
+    }
+    chatTranscript = [];
+}
+
+function getImportedTranscript(sid) {
+    const imported = JSON.parse(localStorage.getItem('importedTranscripts') || '{}');
+    return imported[sid] || null;
+}
+
+const defaultChatPlaceholder = userInput.placeholder;
+
+// The server has no history for an imported transcript, so it cannot be continued
+function markChatReadOnly() {
+    userInput.disabled = true;
+    userInput.placeholder = '📥 Импортированный диалог — только для просмотра';
+}
+
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], {type: mimeType});
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function exportChat(format) {
+    if (chatTranscript.length === 0) {
+        showNotification('В диалоге пока нет сообщений для экспорта', 'error');
+        return;
+    }
+
+    const baseName = `training-chat-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'markdown') {
+        downloadFile(`${baseName}.md`, transcriptToMarkdown(chatTranscript), 'text/markdown;charset=utf-8');
+    } else if (format === 'json') {
+        const payload = {
+            type: 'training-chat',
+            version: 1,
+            sessionId,
+            coachStyle: currentCoachStyle,
+            exportedAt: new Date().toISOString(),
+            messages: chatTranscript
+        };
+        downloadFile(`${baseName}.json`, JSON.stringify(payload, null, 2), 'application/json');
+    } else if (format === 'html') {
+        openPrintableTranscript(chatTranscript);
+    }
+}
+
+// Assistant answers are either a structured response ({answer, nextAction, ...}),
+// a plan/assessment JSON rendered by formatJSON, or plain markdown
+function transcriptEntryToMarkdown(entry) {
+    if (entry.role === 'user') {
+        return entry.content;
+    }
+
+    let obj = entry.structuredResponse;
+    if (!obj) {
+        try {
+            obj = JSON.parse(entry.content);
+        } catch (e) {
+            return entry.content;
+        }
+    }
+
+    if (obj.answer) {
+        let md = obj.answer;
+        if (obj.nextAction) md += `\n\n➡️ **${obj.nextAction}**`;
+        return md;
+    }
+
+    if (obj.week_1 || obj.week_2) {
+        let md = '';
+        getPlanWeeks(obj).forEach(({week, days}) => {
+            md += `### Неделя ${week}\n\n`;
+            PLAN_DAYS.forEach((day, index) => {
+                if (days[day]) md += `- **${PLAN_DAYS_RU[index]}:** ${days[day]}\n`;
+            });
+            md += '\n';
+        });
+        if (obj.tips) md += `> 💡 ${obj.tips}\n`;
+        return md.trim();
+    }
+
+    return '```json\n' + JSON.stringify(obj, null, 2) + '\n```';
+}
+
+function transcriptToMarkdown(transcript) {
+    let md = `# 🏃 Диалог с виртуальным тренером\n\n_Экспортировано: ${new Date().toLocaleString('ru-RU')}_\n\n`;
+
+    transcript.forEach(entry => {
+        const time = entry.answerTimestamp || entry.timestamp;
+        md += `## ${entry.role === 'user' ? '🧑 Вы' : '🤖 Тренер'}`;
+        if (time) md += ` · ${new Date(time).toLocaleString('ru-RU')}`;
+        md += '\n\n' + transcriptEntryToMarkdown(entry) + '\n\n';
+        if (entry.inputTokens != null && entry.outputTokens != null) {
+            md += `_Токены: вход ${entry.inputTokens}, выход ${entry.outputTokens}_\n\n`;
+        }
+    });
+
+    return md;
+}
+
+function openPrintableTranscript(transcript) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        showNotification('Разрешите всплывающие окна для печати диалога', 'error');
+        return;
+    }
+
+    const body = transcript.map(entry => {
+        const time = entry.answerTimestamp || entry.timestamp;
+        return `
+            <section class="entry ${entry.role}">
+                <div class="author">${entry.role === 'user' ? 'Вы' : 'Тренер'}${time ? ` · ${new Date(time).toLocaleString('ru-RU')}` : ''}</div>
+                ${entry.role === 'user' ? `<p>${escapeHtmlSessions(entry.content)}</p>` : renderMarkdown(transcriptEntryToMarkdown(entry))}
+            </section>
+        `;
+    }).join('');
+
+    printWindow.document.write(`<!DOCTYPE html>
+<html lang="ru">
+<head>
+    <meta charset="UTF-8">
+    <title>Диалог с виртуальным тренером</title>
+    <style>
+        body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 0 auto; padding: 32px; color: #1f2937; line-height: 1.5; }
+        h1 { color: #2E3F6E; }
+        .entry { border-left: 4px solid #3b82f6; padding: 8px 16px; margin-bottom: 16px; page-break-inside: avoid; }
+        .entry.user { border-left-color: #10b981; background: #f0fdf4; }
+        .author { font-weight: bold; font-size: 13px; color: #6b7280; margin-bottom: 4px; }
+        .print-btn { position: fixed; top: 16px; right: 16px; padding: 8px 16px; background: #3b82f6; color: white; border: none; border-radius: 8px; cursor: pointer; }
+        @media print { .print-btn { display: none; } body { padding: 0; } }
+    </style>
+</head>
+<body>
+    <button class="print-btn" onclick="window.print()">🖨️ Печать / PDF</button>
+    <h1>🏃 Диалог с виртуальным тренером</h1>
+    <p>Экспортировано: ${new Date().toLocaleString('ru-RU')}</p>
+    ${body}
+</body>
+</html>`);
+    printWindow.document.close();
+}
+
+async function importChatFromFile(file) {
+    try {
+        const payload = JSON.parse(await file.text());
+        const messages = Array.isArray(payload) ? payload : payload.messages;
+
+        if (!Array.isArray(messages) || messages.some(m => !['user', 'assistant'].includes(m.role) || typeof m.content !== 'string')) {
+            throw new Error('Файл не похож на экспорт диалога');
+        }
+
+        const newSessionId = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        const imported = JSON.parse(localStorage.getItem('importedTranscripts') || '{}');
+        imported[newSessionId] = messages;
+        localStorage.setItem('importedTranscripts', JSON.stringify(imported));
+
+        addSessionToList(newSessionId);
+        switchSession(newSessionId);
+        showNotification(`Импортировано сообщений: ${messages.length}`, 'success');
+    } catch (error) {
+        console.error('Error importing chat:', error);
+        showNotification('Ошибка импорта: ' + error.message, 'error');
     }
 }
 
@@ -1496,15 +3784,243 @@ function generateMcpSessionId() {
     return 'mcp_' + Math.random().toString(36).substr(2, 9);
 }
 
-// Initialize MCP session
+// The agent keeps no history between requests, so MCP sessions live only in localStorage:
+// mcpSessions = [{id, createdAt, lastActivity, messages: [{role, content, timestamp, error?, mcpResults?}]}]
+const MCP_SESSIONS_LIMIT = 30;
+const MCP_RESULT_LIMIT = 20000;
+
+function getMcpSessions() {
+    return JSON.parse(localStorage.getItem('mcpSessions') || '[]');
+}
+
+// Past the cap, or when the storage quota is reached, the least recently used sessions are dropped
+function saveMcpSessions(sessions) {
+    for (let excess = sessions.length - MCP_SESSIONS_LIMIT; excess > 0; excess--) {
+        dropOldestMcpSession(sessions);
+    }
+    while (true) {
+        try {
+            localStorage.setItem('mcpSessions', JSON.stringify(sessions));
+            return;
+        } catch (error) {
+            if (error.name !== 'QuotaExceededError' || !dropOldestMcpSession(sessions)) throw error;
+        }
+    }
+}
+
+// The open session is never dropped; returns false when nothing else is left
+function dropOldestMcpSession(sessions) {
+    const candidates = sessions.filter(session => session.id !== mcpSessionId);
+    if (candidates.length === 0) return false;
+
+    const oldest = candidates.reduce((a, b) => b.lastActivity < a.lastActivity ? b : a);
+    sessions.splice(sessions.indexOf(oldest), 1);
+    return true;
+}
+
+function getMcpSession(id) {
+    return getMcpSessions().find(session => session.id === id) || null;
+}
+
+function createMcpSession() {
+    const now = Date.now();
+    const session = {id: generateMcpSessionId(), createdAt: now, lastActivity: now, messages: []};
+    saveMcpSessions([...getMcpSessions(), session]);
+    return session;
+}
+
+// Returns the index of the stored message, or null if it could not be saved
+function appendMcpMessage(id, message) {
+    const sessions = getMcpSessions();
+    const session = sessions.find(item => item.id === id);
+    if (!session) return null;
+
+    const stored = {...message, timestamp: new Date().toISOString()};
+    if (stored.mcpResults) {
+        stored.mcpResults = stored.mcpResults.map(limitMcpTraceResult);
+    }
+    session.messages.push(stored);
+    session.lastActivity = Date.now();
+
+    try {
+        saveMcpSessions(sessions);
+    } catch (error) {
+        console.error('Failed to save MCP session:', error);
+        showNotification('Не удалось сохранить сессию MCP: хранилище браузера переполнено', 'error');
+        return null;
+    }
+    return session.messages.length - 1;
+}
+
+// Re-runs are stored after the calls of the answer they belong to; rerunOf is the 1-based number of the original call
+function appendMcpRerun(origin, rerun) {
+    const sessions = getMcpSessions();
+    const message = sessions.find(item => item.id === origin.sessionId)?.messages[origin.messageIndex];
+    if (!message?.mcpResults) return null;
+
+    message.mcpResults.push(limitMcpTraceResult({...rerun, rerunOf: origin.traceIndex + 1}));
+    try {
+        saveMcpSessions(sessions);
+    } catch (error) {
+        console.error('Failed to save MCP re-run:', error);
+        showNotification('Не удалось сохранить повторный вызов: хранилище браузера переполнено', 'error');
+        return null;
+    }
+    return {...origin, traceIndex: message.mcpResults.length - 1};
+}
+
+function limitMcpTraceResult(trace) {
+    if (typeof trace.result !== 'string' || trace.result.length <= MCP_RESULT_LIMIT) return trace;
+    return {...trace, result: trace.result.slice(0, MCP_RESULT_LIMIT) + '\n… (результат обрезан)'};
+}
+
+// Initialize MCP session: reopen the last one or start a new one
 function initializeMcpSession() {
-    mcpSessionId = generateMcpSessionId();
+    const saved = getMcpSession(localStorage.getItem('currentMcpSessionId'));
+    openMcpSession(saved ? saved.id : createMcpSession().id);
+    loadMcpStatus();
+    loadMcpTools();
+}
+
+function openMcpSession(id) {
+    mcpSessionId = id;
+    localStorage.setItem('currentMcpSessionId', id);
+
     const sessionIdElement = document.getElementById('mcp-session-id');
     if (sessionIdElement) {
         sessionIdElement.textContent = mcpSessionId;
     }
-    loadMcpStatus();
-    loadMcpTools();
+
+    const messagesContainer = document.getElementById('mcp-chat-messages');
+    if (!messagesContainer) return;
+
+    messagesContainer.innerHTML = `
+        <div class="text-center text-gray-500 py-8">
+            <p class="text-lg mb-2">👋 Привет! Я MCP агент для работы с GitHub.</p>
+            <p class="text-sm">Спросите меня о репозиториях, пользователях или поиске на GitHub!</p>
+        </div>
+    `;
+    getMcpSession(id).messages.forEach((message, messageIndex) =>
+        addMcpMessage(message.content, message.role, message.mcpResults, {sessionId: id, messageIndex}));
+    document.getElementById('mcp-sessions-modal')?.classList.add('hidden');
+}
+
+function startNewMcpSession() {
+    openMcpSession(createMcpSession().id);
+}
+
+function deleteMcpSession(id) {
+    const sessions = getMcpSessions().filter(session => session.id !== id);
+    saveMcpSessions(sessions);
+    apiPost('/mcp/clear', {sessionId: id}).catch(error => console.warn('Failed to clear MCP session on server:', error));
+
+    if (mcpSessionId === id) {
+        if (sessions.length > 0) {
+            openMcpSession(sessions[sessions.length - 1].id);
+        } else {
+            startNewMcpSession();
+        }
+    }
+}
+
+function openMcpSessionsList() {
+    renderMcpSessionsList();
+    document.getElementById('mcp-sessions-modal').classList.remove('hidden');
+}
+
+function renderMcpSessionsList() {
+    const container = document.getElementById('mcp-sessions-list');
+    if (!container) return;
+
+    const sessions = getMcpSessions().sort((a, b) => b.lastActivity - a.lastActivity);
+    if (sessions.length === 0) {
+        container.innerHTML = '<p class="text-gray-500 text-center py-4">Нет сохранённых сессий</p>';
+        return;
+    }
+
+    container.innerHTML = sessions.map(session => {
+        const isCurrent = session.id === mcpSessionId;
+        const firstUserMessage = session.messages.find(message => message.role === 'user');
+        const last = session.messages[session.messages.length - 1];
+        const toolCalls = session.messages.reduce((sum, message) => sum + (message.mcpResults?.length || 0), 0);
+
+        return `
+            <div class="flex items-center justify-between p-3 border rounded-lg ${isCurrent ? 'border-blue-500 bg-blue-50' : 'border-gray-200'}">
+                <div class="flex-1 min-w-0 mr-3">
+                    <div class="font-semibold truncate">${isCurrent ? '🟢 ' : ''}${escapeMcpText(firstUserMessage ? truncateText(firstUserMessage.content, 60) : 'Новая сессия')}</div>
+                    <div class="text-sm text-gray-600 truncate">${last ? escapeMcpText((last.role === 'user' ? 'Вы: ' : 'Агент: ') + truncateText(last.content, 120)) : 'Сообщений пока нет'}</div>
+                    <div class="text-xs text-gray-500">${new Date(session.lastActivity).toLocaleString('ru-RU')} · сообщений: ${session.messages.length} · вызовов инструментов: ${toolCalls}</div>
+                </div>
+                <div class="flex space-x-2">
+                    ${!isCurrent ? `
+                        <button onclick="openMcpSession('${session.id}')"
+                                class="px-3 py-1 bg-blue-500 text-white rounded hover:bg-blue-600 text-sm">
+                            Открыть
+                        </button>
+                    ` : ''}
+                    <button onclick="exportMcpSession('${session.id}', 'json')"
+                            class="px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 text-sm" title="Экспорт в JSON">
+                        ⬇️
+                    </button>
+                    <button onclick="confirmDeleteMcpSession('${session.id}')"
+                            class="px-3 py-1 bg-red-500 text-white rounded hover:bg-red-600 text-sm">
+                        Удалить
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function confirmDeleteMcpSession(id) {
+    if (confirm('Удалить эту сессию?')) {
+        deleteMcpSession(id);
+        renderMcpSessionsList();
+    }
+}
+
+// JSON keeps the tool traces as returned by the server; Markdown lists them under each answer
+function exportMcpSession(id, format) {
+    const session = getMcpSession(id);
+    if (!session || session.messages.length === 0) {
+        showNotification('В сессии пока нет сообщений для экспорта', 'error');
+        return;
+    }
+
+    const baseName = `mcp-agent-${new Date(session.createdAt).toISOString().slice(0, 10)}-${session.id}`;
+
+    if (format === 'markdown') {
+        downloadFile(`${baseName}.md`, mcpSessionToMarkdown(session), 'text/markdown;charset=utf-8');
+    } else {
+        const payload = {
+            type: 'mcp-agent-chat',
+            version: 1,
+            sessionId: session.id,
+            createdAt: new Date(session.createdAt).toISOString(),
+            exportedAt: new Date().toISOString(),
+            messages: session.messages
+        };
+        downloadFile(`${baseName}.json`, JSON.stringify(payload, null, 2), 'application/json');
+    }
+}
+
+function mcpSessionToMarkdown(session) {
+    let md = `# 🐙 Сессия GitHub MCP агента\n\n_Сессия ${session.id} · экспортировано: ${new Date().toLocaleString('ru-RU')}_\n\n`;
+
+    session.messages.forEach(message => {
+        md += `## ${message.role === 'user' ? '🧑 Вы' : '🤖 MCP Agent'}`;
+        if (message.timestamp) md += ` · ${new Date(message.timestamp).toLocaleString('ru-RU')}`;
+        md += '\n\n' + message.content + '\n\n';
+
+        (message.mcpResults || []).forEach(trace => {
+            md += `### 🔧 ${trace.tool} · ${trace.success ? 'успешно' : 'ошибка'}${trace.durationMs != null ? ` · ${trace.durationMs}ms` : ''}`;
+            md += `${trace.rerunOf ? ` · повтор вызова №${trace.rerunOf}` : ''}\n\n`;
+            md += '```json\n' + JSON.stringify(trace.parameters || {}, null, 2) + '\n```\n\n';
+            md += '```\n' + trace.result + '\n```\n\n';
+        });
+    });
+
+    return md;
 }
 
 // Load MCP status
@@ -1513,16 +4029,10 @@ async function loadMcpStatus() {
     if (!statusElement) return; // Element doesn't exist, skip
 
     try {
-        const response = await fetch('/mcp/status');
-        const data = await response.json();
-
-        if (response.ok) {
-            statusElement.textContent = data.githubTokenConfigured ? '✅ Configured' : '❌ Not set';
-        } else {
-            statusElement.textContent = '❌ Error';
-        }
+        const data = await apiGet('/mcp/status');
+        statusElement.textContent = data.githubTokenConfigured ? '✅ Configured' : '❌ Not set';
     } catch (error) {
-        statusElement.textContent = '❌ Offline';
+        statusElement.textContent = error.kind === 'http' ? '❌ Error' : '❌ Offline';
     }
 }
 
@@ -1535,18 +4045,22 @@ async function loadMcpTools() {
     if (!toolsContainer || !toolsCount) return;
 
     try {
-        const response = await fetch('/github/tools');
-        const data = await response.json();
+        const data = await apiGet('/github/tools');
 
-        if (response.ok && data.status === 'connected') {
+        if (data.status === 'connected') {
             const tools = data.tools || [];
+            mcpToolsCache = tools;
             toolsCount.textContent = tools.length;
 
             if (tools.length > 0) {
                 toolsContainer.innerHTML = tools.map(tool => `
                     <div class="bg-gray-50 p-3 rounded-lg border border-gray-200">
-                        <div class="font-semibold text-gray-800">${tool.name}</div>
-                        <div class="text-sm text-gray-600 mt-1">${tool.description}</div>
+                        <div class="flex items-start justify-between gap-2">
+                            <div class="font-semibold text-gray-800">${escapeMcpText(tool.name)}</div>
+                            <button class="text-xs text-blue-600 hover:underline flex-shrink-0"
+                                    onclick="openMcpPlayground('${escapeMcpText(tool.name)}')" type="button">▶️ Открыть</button>
+                        </div>
+                        <div class="text-sm text-gray-600 mt-1">${escapeMcpText(tool.description)}</div>
                     </div>
                 `).join('');
             } else {
@@ -1557,13 +4071,163 @@ async function loadMcpTools() {
             toolsCount.textContent = 'Error';
         }
     } catch (error) {
-        toolsContainer.innerHTML = '<div class="text-center text-red-500 col-span-2">Ошибка сети</div>';
-        toolsCount.textContent = 'Offline';
+        toolsContainer.innerHTML = `<div class="text-center text-red-500 col-span-2">${error.kind === 'http' ? 'Ошибка загрузки инструментов' : 'Ошибка сети'}</div>`;
+        toolsCount.textContent = error.kind === 'http' ? 'Error' : 'Offline';
+    }
+}
+
+// ============= MCP TOOL PLAYGROUND =============
+// Runs a GitHub tool directly through /github/execute with a form built from its input schema
+
+let mcpToolsCache = [];
+let mcpPlaygroundTool = null;
+
+function openMcpPlayground(toolName) {
+    mcpPlaygroundTool = mcpToolsCache.find(tool => tool.name === toolName);
+    if (!mcpPlaygroundTool) return;
+
+    const schema = mcpPlaygroundTool.inputSchema || {};
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    const properties = Object.entries(schema.properties || {});
+
+    document.getElementById('mcp-playground-title').textContent = mcpPlaygroundTool.name;
+    document.getElementById('mcp-playground-description').textContent = mcpPlaygroundTool.description;
+    document.getElementById('mcp-playground-result').innerHTML = '';
+    document.getElementById('mcp-playground-fields').innerHTML = properties.length > 0
+        ? properties.map(([name, property]) => renderMcpPlaygroundField(name, property, required.includes(name))).join('')
+        : '<p class="text-sm text-gray-500">У инструмента нет аргументов</p>';
+    document.getElementById('mcp-playground-modal').classList.remove('hidden');
+}
+
+function closeMcpPlayground() {
+    document.getElementById('mcp-playground-modal').classList.add('hidden');
+}
+
+function renderMcpPlaygroundField(name, property, isRequired) {
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm';
+    const placeholder = property.default !== undefined ? `по умолчанию: ${JSON.stringify(property.default)}` : '';
+    const attributes = `data-arg="${escapeMcpText(name)}" data-type="${escapeMcpText(property.type || 'string')}" ${isRequired ? 'required' : ''}`;
+
+    let input;
+    if (Array.isArray(property.enum)) {
+        input = `
+            <select class="${inputClass}" ${attributes}>
+                ${isRequired ? '' : '<option value="">—</option>'}
+                ${property.enum.map(option => `<option value="${escapeMcpText(String(option))}">${escapeMcpText(String(option))}</option>`).join('')}
+            </select>
+        `;
+    } else if (property.type === 'boolean') {
+        input = `<input ${attributes} type="checkbox">`;
+    } else if (property.type === 'integer' || property.type === 'number') {
+        input = `<input class="${inputClass}" ${attributes} placeholder="${escapeMcpText(placeholder)}"
+                        step="${property.type === 'integer' ? '1' : 'any'}" type="number">`;
+    } else if (property.type === 'object' || property.type === 'array') {
+        input = `<textarea class="${inputClass} font-mono" ${attributes} placeholder="JSON" rows="3"></textarea>`;
+    } else {
+        input = `<input class="${inputClass}" ${attributes} placeholder="${escapeMcpText(placeholder)}" type="text">`;
+    }
+
+    return `
+        <label class="block">
+            <span class="text-sm font-semibold text-gray-700">${escapeMcpText(name)}${isRequired ? ' <span class="text-red-500">*</span>' : ''}</span>
+            <span class="text-xs text-gray-500 ml-1">${escapeMcpText(property.type || '')}</span>
+            ${property.description ? `<span class="block text-xs text-gray-500 mb-1">${escapeMcpText(property.description)}</span>` : ''}
+            ${input}
+        </label>
+    `;
+}
+
+// Empty optional fields are left out so the tool applies its own defaults
+function collectMcpPlaygroundArgs() {
+    const args = {};
+    for (const field of document.querySelectorAll('#mcp-playground-fields [data-arg]')) {
+        const name = field.dataset.arg;
+        const type = field.dataset.type;
+
+        if (type === 'boolean' && field.type === 'checkbox') {
+            args[name] = field.checked;
+            continue;
+        }
+
+        const value = field.value.trim();
+        if (!value) {
+            if (field.required) throw new Error(`Заполните поле ${name}`);
+            continue;
+        }
+
+        if (type === 'integer' || type === 'number') {
+            const number = Number(value);
+            if (isNaN(number) || (type === 'integer' && !Number.isInteger(number))) {
+                throw new Error(`Поле ${name} должно быть ${type === 'integer' ? 'целым числом' : 'числом'}`);
+            }
+            args[name] = number;
+        } else if (type === 'object' || type === 'array') {
+            try {
+                args[name] = JSON.parse(value);
+            } catch (e) {
+                throw new Error(`Поле ${name}: некорректный JSON`);
+            }
+        } else {
+            args[name] = value;
+        }
+    }
+    return args;
+}
+
+async function runMcpPlayground() {
+    if (!mcpPlaygroundTool) return;
+
+    let parameters;
+    try {
+        parameters = collectMcpPlaygroundArgs();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'error');
+        return;
+    }
+
+    const runBtn = document.getElementById('mcp-playground-run-btn');
+    const resultContainer = document.getElementById('mcp-playground-result');
+    runBtn.disabled = true;
+    resultContainer.innerHTML = '<p class="text-sm text-gray-500">⏳ Выполняется...</p>';
+
+    try {
+        const data = await apiPost('/github/execute', {tool: mcpPlaygroundTool.name, parameters}, {timeout: 60000});
+        const text = data.success ? data.result : (data.error || data.result);
+        resultContainer.innerHTML = `
+            <div class="flex items-center justify-between mb-2 text-sm">
+                <span class="font-semibold ${data.success ? 'text-green-700' : 'text-red-700'}">
+                    ${data.success ? '✅ Успешно' : '❌ Ошибка'}${data.durationMs != null ? ` · ${data.durationMs}ms` : ''}
+                </span>
+                <button class="text-xs text-blue-600 hover:underline" type="button">📋 Копировать</button>
+            </div>
+            <pre class="bg-gray-50 border border-gray-200 rounded-lg p-3 text-xs font-mono whitespace-pre-wrap max-h-96 overflow-y-auto">${escapeMcpText(text)}</pre>
+        `;
+        resultContainer.querySelector('button').addEventListener('click', () => {
+            navigator.clipboard.writeText(text)
+                .then(() => showNotification('📋 Результат скопирован', 'success'))
+                .catch(error => showNotification('Не удалось скопировать: ' + error.message, 'error'));
+        });
+    } catch (error) {
+        reportApiError(error, 'Ошибка выполнения инструмента');
+        resultContainer.innerHTML = `<p class="text-sm text-red-600">❌ ${escapeMcpText(error.userMessage || error.message)}</p>`;
+    } finally {
+        runBtn.disabled = false;
     }
 }
 
-// Add message to MCP chat
-function addMcpMessage(content, type, toolResults = null) {
+// Only names the tools of this answer actually touched are linked to GitHub
+function getMcpGitHubNames(toolResults) {
+    return collectGitHubNames((toolResults || [])
+        .map(tool => {
+            const parameters = tool.parameters || {};
+            const repo = parameters.owner && parameters.repo ? `${parameters.owner}/${parameters.repo}\n` : '';
+            return repo + JSON.stringify(parameters) + '\n' + (tool.result || '');
+        })
+        .join('\n'));
+}
+
+// Add message to MCP chat; origin ({sessionId, messageIndex}) is where the message is stored, so re-runs can be saved
+function addMcpMessage(content, type, toolResults = null, origin = null) {
     const messagesContainer = document.getElementById('mcp-chat-messages');
     const messageDiv = document.createElement('div');
     messageDiv.className = `mb-4 p-4 rounded-lg ${type === 'user' ? 'bg-blue-500 text-white ml-auto max-w-2xl' : 'bg-white text-gray-800 mr-auto max-w-4xl'}`;
@@ -1571,19 +4235,15 @@ function addMcpMessage(content, type, toolResults = null) {
     messageDiv.style.marginRight = type === 'user' ? '0' : 'auto';
 
     let messageHTML = `<div class="font-semibold mb-1">${type === 'user' ? '👤 Вы' : '🤖 MCP Agent'}</div>`;
-    messageHTML += `<div>${content}</div>`;
+    messageHTML += type === 'user'
+        ? `<div class="whitespace-pre-wrap">${escapeMcpText(content)}</div>`
+        : `<div class="markdown-content">${renderMarkdown(content, {linkifyGitHub: getMcpGitHubNames(toolResults)})}</div>`;
 
     if (toolResults && toolResults.length > 0) {
         messageHTML += '<div class="mt-3">';
-        messageHTML += '<div class="text-sm font-semibold text-gray-700 mb-2">🔧 Использованные инструменты:</div>';
-        toolResults.forEach(tool => {
-            messageHTML += `
-                <div class="bg-green-50 border-l-4 border-green-500 p-3 mb-2 text-sm">
-                    <div class="font-semibold">${tool.tool}</div>
-                    <div class="text-xs text-gray-600 mt-1">${tool.result.substring(0, 200)}${tool.result.length > 200 ? '...' : ''}</div>
-                </div>
-            `;
-        });
+        messageHTML += '<div class="text-sm font-semibold text-gray-700 mb-2">🔧 Вызовы инструментов:</div>';
+        messageHTML += `<div data-trace-list>${toolResults.map((tool, traceIndex) =>
+            renderMcpTrace(registerMcpTrace(tool, origin && {...origin, traceIndex}))).join('')}</div>`;
         messageHTML += '</div>';
     }
 
@@ -1592,6 +4252,153 @@ function addMcpMessage(content, type, toolResults = null) {
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
 }
 
+// ============= MCP TOOL TRACES =============
+// Every tool call returned by /mcp/chat (or re-run via /github/execute) is kept by id
+// so the trace entry can be copied and re-run later.
+
+const mcpTraces = {};
+const mcpTraceOrigins = {};
+let mcpTraceCounter = 0;
+
+// tool: McpToolResult from the server, plus rerunOf for repeated calls;
+// origin: {sessionId, messageIndex, traceIndex} of the stored copy, if any
+function registerMcpTrace(tool, origin = null) {
+    const id = 'trace_' + (++mcpTraceCounter);
+    mcpTraces[id] = tool;
+    if (origin) {
+        mcpTraceOrigins[id] = origin;
+    }
+    return id;
+}
+
+function renderMcpTrace(id) {
+    const trace = mcpTraces[id];
+    const failed = !trace.success;
+    const parameters = trace.parameters || {};
+    const time = trace.timestamp ? new Date(trace.timestamp).toLocaleTimeString('ru-RU') : '';
+
+    return `
+        <details class="${failed ? 'bg-red-50 border-red-500' : 'bg-green-50 border-green-500'} border-l-4 p-3 mb-2 text-sm" data-trace-id="${id}">
+            <summary class="cursor-pointer flex flex-wrap items-center gap-2">
+                <span>${failed ? '❌' : '✅'}</span>
+                <span class="font-semibold">${escapeMcpText(trace.tool)}</span>
+                ${trace.rerunOf ? '<span class="text-xs px-2 py-0.5 bg-blue-100 text-blue-700 rounded">🔁 повтор</span>' : ''}
+                <span class="text-xs text-gray-500">${trace.durationMs != null ? trace.durationMs + 'ms' : '—'}${time ? ' · ' + time : ''}</span>
+            </summary>
+            <div class="mt-3 space-y-3">
+                <div>
+                    <div class="text-xs font-semibold text-gray-600 mb-1">Аргументы</div>
+                    <div class="bg-white rounded p-2 text-xs font-mono overflow-x-auto">
+                        ${Object.keys(parameters).length > 0 ? renderJsonTree(parameters) : '<span class="text-gray-400">без аргументов</span>'}
+                    </div>
+                </div>
+                <div>
+                    <div class="text-xs font-semibold ${failed ? 'text-red-700' : 'text-gray-600'} mb-1">${failed ? 'Ошибка' : 'Результат'}</div>
+                    <div class="bg-white rounded p-2 text-xs font-mono overflow-x-auto max-h-96 overflow-y-auto">${renderMcpResult(trace.result)}</div>
+                </div>
+                <div class="flex gap-3 text-xs">
+                    <button class="text-blue-600 hover:underline" onclick="copyMcpTrace('${id}')" type="button">📋 Копировать</button>
+                    ${trace.tool !== 'error' ? `
+                        <button class="text-blue-600 hover:underline" onclick="rerunMcpTool('${id}', this)" type="button">🔁 Повторить вызов</button>
+                    ` : ''}
+                </div>
+            </div>
+        </details>
+    `;
+}
+
+// GitHub tools answer with a text header followed by JSON; the JSON part is shown as a tree
+function renderMcpResult(result) {
+    const text = result || '';
+    const start = text.search(/[[{]/);
+    if (start !== -1) {
+        try {
+            const json = JSON.parse(text.slice(start));
+            const prefix = text.slice(0, start).trim();
+            return (prefix ? `<div class="whitespace-pre-wrap mb-1">${escapeMcpText(prefix)}</div>` : '') + renderJsonTree(json);
+        } catch (e) {
+            // Not JSON after all, fall through to plain text
+        }
+    }
+    return `<div class="whitespace-pre-wrap">${escapeMcpText(text)}</div>`;
+}
+
+// Objects and arrays are collapsible; only the top level starts expanded
+function renderJsonTree(value, depth = 0) {
+    if (value === null || typeof value !== 'object') {
+        const color = typeof value === 'string' ? 'text-green-700' : typeof value === 'number' ? 'text-blue-700' : 'text-purple-700';
+        return `<span class="${color}">${escapeMcpText(JSON.stringify(value))}</span>`;
+    }
+
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+    if (entries.length === 0) return isArray ? '[]' : '{}';
+
+    return `
+        <details ${depth === 0 ? 'open' : ''} class="${depth > 0 ? 'inline-block align-top' : ''}">
+            <summary class="cursor-pointer text-gray-500">${isArray ? `[ ${entries.length} ]` : `{ ${entries.length} }`}</summary>
+            <div class="ml-4 border-l border-gray-200 pl-2">
+                ${entries.map(([key, item]) => `
+                    <div>${isArray ? `<span class="text-gray-400">${key}:</span>` : `<span class="text-gray-800">${escapeMcpText(key)}:</span>`} ${renderJsonTree(item, depth + 1)}</div>
+                `).join('')}
+            </div>
+        </details>
+    `;
+}
+
+function copyMcpTrace(id) {
+    const {tool, parameters, result, success, durationMs, timestamp} = mcpTraces[id];
+    navigator.clipboard.writeText(JSON.stringify({tool, parameters, result, success, durationMs, timestamp}, null, 2))
+        .then(() => showNotification('📋 Вызов скопирован', 'success'))
+        .catch(error => showNotification('Не удалось скопировать: ' + error.message, 'error'));
+}
+
+// Runs the same tool with the same arguments and appends the new trace under the original
+async function rerunMcpTool(id, button) {
+    const trace = mcpTraces[id];
+    button.disabled = true;
+    button.textContent = '⏳ Выполняется...';
+
+    let rerun;
+    try {
+        const data = await apiPost('/github/execute', {tool: trace.tool, parameters: trace.parameters || {}}, {timeout: 60000});
+        rerun = {
+            tool: trace.tool,
+            parameters: trace.parameters,
+            result: data.success ? data.result : (data.error || data.result),
+            success: data.success,
+            durationMs: data.durationMs,
+            timestamp: new Date().toISOString(),
+            rerunOf: id
+        };
+    } catch (error) {
+        reportApiError(error, 'Не удалось повторить вызов');
+        rerun = {
+            tool: trace.tool,
+            parameters: trace.parameters,
+            result: error.userMessage || error.message,
+            success: false,
+            durationMs: null,
+            timestamp: new Date().toISOString(),
+            rerunOf: id
+        };
+    } finally {
+        button.disabled = false;
+        button.textContent = '🔁 Повторить вызов';
+    }
+
+    const origin = mcpTraceOrigins[id];
+    const entry = button.closest('[data-trace-id]');
+    entry.insertAdjacentHTML('afterend', renderMcpTrace(registerMcpTrace(rerun, origin && appendMcpRerun(origin, rerun))));
+    entry.nextElementSibling.open = true;
+}
+
+function escapeMcpText(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 // Show MCP loading
 function showMcpLoading() {
     const messagesContainer = document.getElementById('mcp-chat-messages');
@@ -1632,70 +4439,44 @@ async function sendMcpMessage() {
     const sendBtn = document.getElementById('mcp-send-btn');
     sendBtn.disabled = true;
 
-    addMcpMessage(message, 'user');
-    input.value = '';
-    showMcpLoading();
+    // The answer is saved to the session it was asked in, even if another one is opened meanwhile
+    const requestSessionId = mcpSessionId;
 
     try {
-        const response = await fetch('/mcp/chat', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                message: message,
-                sessionId: mcpSessionId
-            })
-        });
+        addMcpMessage(message, 'user');
+        appendMcpMessage(requestSessionId, {role: 'user', content: message});
+        input.value = '';
+        showMcpLoading();
 
-        const data = await response.json();
+        const data = await apiPost('/mcp/chat', {
+            message: message,
+            sessionId: requestSessionId
+        }, {timeout: 120000});
 
         hideMcpLoading();
-
-        if (response.ok) {
-            addMcpMessage(data.response, 'assistant', data.mcpResults);
-        } else {
-            addMcpMessage(`Ошибка: ${data.response || 'Произошла ошибка'}`, 'assistant');
+        const messageIndex = appendMcpMessage(requestSessionId, {role: 'assistant', content: data.response, mcpResults: data.mcpResults || null});
+        if (mcpSessionId === requestSessionId) {
+            addMcpMessage(data.response, 'assistant', data.mcpResults,
+                messageIndex === null ? null : {sessionId: requestSessionId, messageIndex});
         }
     } catch (error) {
         hideMcpLoading();
-        addMcpMessage(`Ошибка сети: ${error.message}`, 'assistant');
+        const errorText = `Ошибка: ${error.userMessage || error.message}`;
+        appendMcpMessage(requestSessionId, {role: 'assistant', content: errorText, error: true});
+        if (mcpSessionId === requestSessionId) {
+            addMcpMessage(errorText, 'assistant');
+        }
+        reportApiError(error, 'Ошибка MCP агента');
     } finally {
         mcpIsLoading = false;
         sendBtn.disabled = false;
     }
 }
 
-// Clear MCP chat
-async function clearMcpChat() {
-    if (!confirm('Вы уверены, что хотите очистить чат?')) return;
-
-    try {
-        await fetch('/mcp/clear', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                sessionId: mcpSessionId
-            })
-        });
-
-        // Reset session
-        mcpSessionId = generateMcpSessionId();
-        document.getElementById('mcp-session-id').textContent = mcpSessionId;
-
-        // Clear messages
-        const messagesContainer = document.getElementById('mcp-chat-messages');
-        messagesContainer.innerHTML = `
-            <div class="text-center text-gray-500 py-8">
-                <p class="text-lg mb-2">👋 Привет! Я MCP агент для работы с GitHub.</p>
-                <p class="text-sm">Спросите меня о репозиториях, пользователях или поиске на GitHub!</p>
-            </div>
-        `;
-    } catch (error) {
-        console.error('Error clearing MCP chat:', error);
-    }
+// Clear MCP chat: the session is deleted like a training dialog
+function clearMcpChat() {
+    if (!confirm('Вы уверены, что хотите очистить чат? Сессия будет удалена.')) return;
+    deleteMcpSession(mcpSessionId);
 }
 
 // Insert MCP example
@@ -1713,6 +4494,10 @@ document.getElementById('mcp-message-input')?.addEventListener('keypress', (e) =
     }
 });
 document.getElementById('mcp-clear-btn')?.addEventListener('click', clearMcpChat);
+document.getElementById('mcp-new-session-btn')?.addEventListener('click', startNewMcpSession);
+document.getElementById('mcp-sessions-btn')?.addEventListener('click', openMcpSessionsList);
+document.getElementById('mcp-export-json-btn')?.addEventListener('click', () => exportMcpSession(mcpSessionId, 'json'));
+document.getElementById('mcp-export-md-btn')?.addEventListener('click', () => exportMcpSession(mcpSessionId, 'markdown'));
 
 // Reminders functionality
 let currentRemindersFilter = 'all';
@@ -1752,25 +4537,19 @@ async function createReminder() {
             requestBody.recurringType = recurringType;
         }
 
-        const response = await fetch('/reminder/create', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(requestBody)
-        });
-
-        const result = await response.json();
+        let result;
+        try {
+            result = await apiPost('/reminder/create', requestBody);
+        } catch (error) {
+            if (!isOfflineError(error)) throw error;
+            await enqueueOutbox({kind: 'reminder-create', label: `Создать задачу «${title}»`, body: requestBody});
+            resetReminderForm();
+            showNotification('📴 Нет связи с сервером — задача сохранена и будет отправлена позже', 'success');
+            return;
+        }
 
         if (result.success) {
-            // Clear form
-            document.getElementById('reminder-title').value = '';
-            document.getElementById('reminder-description').value = '';
-            document.getElementById('reminder-priority').value = 'medium';
-            document.getElementById('reminder-due-date').value = '';
-            document.getElementById('reminder-time').value = '';
-            document.getElementById('reminder-periodicity').value = '';
-            document.getElementById('reminder-recurring-type').value = '';
+            resetReminderForm();
 
             // Show success message
             const periodText = periodicityMinutes ? ` с периодичностью ${periodicityMinutes} мин` : '';
@@ -1782,10 +4561,20 @@ async function createReminder() {
             showNotification('❌ Ошибка: ' + (result.error || 'Неизвестная ошибка'), 'error');
         }
     } catch (error) {
-        showNotification('❌ Ошибка при создании задачи: ' + error.message, 'error');
+        reportApiError(error, '❌ Ошибка при создании задачи');
     }
 }
 
+function resetReminderForm() {
+    document.getElementById('reminder-title').value = '';
+    document.getElementById('reminder-description').value = '';
+    document.getElementById('reminder-priority').value = 'medium';
+    document.getElementById('reminder-due-date').value = '';
+    document.getElementById('reminder-time').value = '';
+    document.getElementById('reminder-periodicity').value = '';
+    document.getElementById('reminder-recurring-type').value = '';
+}
+
 // Create reminder with AI assistance
 async function createReminderWithAI() {
     const title = document.getElementById('reminder-title').value.trim();
@@ -1801,43 +4590,27 @@ async function createReminderWithAI() {
 
     try {
         // First create the reminder
-        const reminderResponse = await fetch('/reminder/create', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                title,
-                description,
-                priority,
-                dueDate,
-                reminderTime
-            })
+        const reminderResult = await apiPost('/reminder/create', {
+            title,
+            description,
+            priority,
+            dueDate,
+            reminderTime
         });
 
-        const reminderResult = await reminderResponse.json();
-
         if (!reminderResult.success) {
             throw new Error(reminderResult.error || 'Не удалось создать задачу');
         }
 
         // Then get AI enhancement
-        const aiResponse = await fetch('/mcp/demo/execute', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                tool: 'reminder_creation',
-                parameters: {
-                    title,
-                    description,
-                    priority
-                }
-            })
-        });
-
-        const aiResult = await aiResponse.json();
+        const aiResult = await apiPost('/mcp/demo/execute', {
+            tool: 'reminder_creation',
+            parameters: {
+                title,
+                description,
+                priority
+            }
+        }, {timeout: 120000});
 
         // Show AI response in a nice modal
         showAIEnhancementModal(aiResult.result);
@@ -1853,7 +4626,7 @@ async function createReminderWithAI() {
         await loadReminders();
 
     } catch (error) {
-        showNotification('❌ Ошибка: ' + error.message, 'error');
+        reportApiError(error, '❌ Ошибка');
     }
 }
 
@@ -1899,8 +4672,7 @@ function closeAIEnhancementModal() {
 // Load reminders from server
 async function loadReminders() {
     try {
-        const response = await fetch('/reminder/list');
-        const data = await response.json();
+        const data = await apiGet('/reminder/list');
         allReminders = data.tasks || [];
 
         // Update summary
@@ -1910,8 +4682,7 @@ async function loadReminders() {
         displayFilteredReminders();
 
     } catch (error) {
-        console.error('Error loading reminders:', error);
-        showNotification('❌ Ошибка загрузки задач: ' + error.message, 'error');
+        reportApiError(error, '❌ Ошибка загрузки задач');
     }
 }
 
@@ -1953,7 +4724,18 @@ function displayFilteredReminders() {
         });
     }
 
-    if (filteredTasks.length === 0) {
+    // Writes waiting in the offline outbox
+    const pendingCreates = outboxEntries
+        .filter(entry => entry.kind === 'reminder-create' && currentRemindersFilter !== 'completed')
+        .map(entry => ({id: `outbox-${entry.id}`, status: 'pending', ...entry.body}));
+    const pendingActions = {};
+    outboxEntries
+        .filter(entry => entry.kind === 'reminder-complete' || entry.kind === 'reminder-delete')
+        .forEach(entry => {
+            pendingActions[entry.taskId] = entry.kind === 'reminder-complete' ? 'complete' : 'delete';
+        });
+
+    if (filteredTasks.length === 0 && pendingCreates.length === 0) {
         container.innerHTML = `
             <div class="text-center text-gray-500 py-8">
                 <i class="fas fa-inbox text-4xl mb-2"></i>
@@ -1963,11 +4745,12 @@ function displayFilteredReminders() {
         return;
     }
 
-    container.innerHTML = filteredTasks.map(task => createReminderCard(task)).join('');
+    container.innerHTML = pendingCreates.map(task => createReminderCard(task, 'create')).join('') +
+        filteredTasks.map(task => createReminderCard(task, pendingActions[task.id] || null)).join('');
 }
 
-// Create reminder card HTML
-function createReminderCard(task) {
+// Create reminder card HTML; pendingAction marks a change still waiting in the outbox
+function createReminderCard(task, pendingAction = null) {
     const priorityColors = {
         high: 'border-red-500',
         medium: 'border-yellow-500',
@@ -1983,8 +4766,13 @@ function createReminderCard(task) {
     const statusClass = task.status === 'completed' ? 'opacity-60' : '';
     const isOverdue = task.dueDate && new Date(task.dueDate) < new Date() && task.status !== 'completed';
 
+    const repeatLabel = task.periodicityMinutes
+        ? reminderOptionLabel('reminder-periodicity', task.periodicityMinutes, `Каждые ${task.periodicityMinutes} мин`)
+        : task.recurringType ? reminderOptionLabel('reminder-recurring-type', task.recurringType, task.recurringType) : null;
+
     return `
-        <div class="border-l-4 ${priorityColors[task.priority]} bg-white p-4 rounded-lg shadow-sm hover:shadow-md transition-shadow ${statusClass}">
+        <div class="border-l-4 ${priorityColors[task.priority]} bg-white p-4 rounded-lg shadow-sm hover:shadow-md transition-shadow ${statusClass}"
+             data-reminder-id="${task.id}">
             <div class="flex items-start justify-between">
                 <div class="flex-1">
                     <div class="flex items-center mb-2">
@@ -1993,6 +4781,11 @@ function createReminderCard(task) {
                             ${task.title}
                         </h4>
                         ${isOverdue ? '<span class="ml-2 text-xs bg-red-100 text-red-700 px-2 py-1 rounded">Просрочена</span>' : ''}
+                        ${pendingAction ? `<span class="ml-2 text-xs bg-amber-100 text-amber-700 px-2 py-1 rounded">⏳ ${{
+                            create: 'Ожидает отправки',
+                            complete: 'Будет выполнена',
+                            delete: 'Будет удалена'
+                        }[pendingAction]}</span>` : ''}
                     </div>
                     <p class="text-gray-600 text-sm mb-2">${task.description}</p>
                     <div class="flex flex-wrap gap-2 text-xs">
@@ -2002,9 +4795,23 @@ function createReminderCard(task) {
                         ${task.reminderTime ? `<span class="bg-blue-100 text-blue-700 px-2 py-1 rounded">
                             <i class="fas fa-bell mr-1"></i>${new Date(task.reminderTime).toLocaleTimeString()}
                         </span>` : ''}
+                        ${repeatLabel ? `<span class="bg-purple-100 text-purple-700 px-2 py-1 rounded">
+                            <i class="fas fa-redo mr-1"></i>${repeatLabel}
+                        </span>` : ''}
                     </div>
+                    ${lastReminderEdit?.taskId === task.id ? `
+                        <div class="mt-3 flex items-center justify-between text-xs bg-blue-50 text-blue-700 px-3 py-2 rounded" data-reminder-undo>
+                            <span>✏️ Изменения сохранены</span>
+                            <button class="font-semibold hover:underline" onclick="undoReminderEdit()" type="button">↩️ Отменить</button>
+                        </div>
+                    ` : ''}
                 </div>
-                <div class="flex space-x-2">
+                <div class="flex space-x-2 ${pendingAction ? 'hidden' : ''}">
+                    <button onclick="editReminder('${task.id}')"
+                            class="text-blue-600 hover:text-blue-800 transition-colors"
+                            title="Редактировать задачу">
+                        <i class="fas fa-pen"></i>
+                    </button>
                     ${task.status !== 'completed' ? `
                         <button onclick="completeReminder('${task.id}')"
                                 class="text-green-600 hover:text-green-800 transition-colors"
@@ -2023,18 +4830,203 @@ function createReminderCard(task) {
     `;
 }
 
+// Labels of the periodicity and recurring type options are shared with the create form
+function reminderOptionLabel(selectId, value, fallback) {
+    const option = [...(document.getElementById(selectId)?.options || [])].find(item => item.value === String(value));
+    return option ? option.textContent.trim() : fallback;
+}
+
+// ============= INLINE EDIT =============
+// The card turns into a form; only changed fields are sent to PUT /reminder/{id}.
+// The previous values of the last edit are kept for a while so it can be undone.
+
+const REMINDER_UNDO_MS = 15000;
+let lastReminderEdit = null;
+let lastReminderEditTimer = null;
+
+// Form values as strings; an empty value (0 for periodicity) means "not set"
+function reminderEditValues(task) {
+    return {
+        title: task.title || '',
+        description: task.description || '',
+        priority: task.priority || 'medium',
+        dueDate: task.dueDate ? task.dueDate.slice(0, 16) : '',
+        reminderTime: task.reminderTime ? task.reminderTime.slice(0, 16) : '',
+        periodicityMinutes: task.periodicityMinutes || 0,
+        recurringType: task.recurringType || ''
+    };
+}
+
+function editReminder(taskId) {
+    const task = allReminders.find(t => t.id === taskId);
+    const card = document.querySelector(`[data-reminder-id="${taskId}"]`);
+    if (!task || !card) return;
+
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+    card.classList.remove('opacity-60');
+    card.innerHTML = `
+        <div class="space-y-3">
+            <input class="${inputClass}" data-edit-field="title" maxlength="255" placeholder="Название задачи" type="text">
+            <textarea class="${inputClass}" data-edit-field="description" placeholder="Описание" rows="2"></textarea>
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <label class="text-xs text-gray-600">Приоритет
+                    <select class="${inputClass}" data-edit-field="priority">
+                        ${document.getElementById('reminder-priority').innerHTML}
+                    </select>
+                </label>
+                <label class="text-xs text-gray-600">Срок выполнения
+                    <input class="${inputClass}" data-edit-field="dueDate" type="datetime-local">
+                </label>
+                <label class="text-xs text-gray-600">Время напоминания
+                    <input class="${inputClass}" data-edit-field="reminderTime" type="datetime-local">
+                </label>
+                <label class="text-xs text-gray-600">Периодичность
+                    <select class="${inputClass}" data-edit-field="periodicityMinutes">
+                        ${document.getElementById('reminder-periodicity').innerHTML}
+                    </select>
+                </label>
+                <label class="text-xs text-gray-600">Тип повтора
+                    <select class="${inputClass}" data-edit-field="recurringType">
+                        ${document.getElementById('reminder-recurring-type').innerHTML}
+                    </select>
+                </label>
+            </div>
+            <div class="flex space-x-3">
+                <button class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm transition-colors"
+                        onclick="saveReminderEdit('${task.id}', this)" type="button">
+                    <i class="fas fa-save mr-1"></i>Сохранить
+                </button>
+                <button class="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg text-sm transition-colors"
+                        onclick="displayFilteredReminders()" type="button">
+                    Отмена
+                </button>
+            </div>
+        </div>
+    `;
+
+    // Periodicity set through the MCP tools may be missing from the preset list
+    const values = reminderEditValues(task);
+    const periodicitySelect = card.querySelector('[data-edit-field="periodicityMinutes"]');
+    if (values.periodicityMinutes && ![...periodicitySelect.options].some(option => option.value === String(values.periodicityMinutes))) {
+        periodicitySelect.add(new Option(`Каждые ${values.periodicityMinutes} мин`, values.periodicityMinutes));
+    }
+
+    Object.entries(values).forEach(([field, value]) => {
+        card.querySelector(`[data-edit-field="${field}"]`).value = field === 'periodicityMinutes' && !value ? '' : value;
+    });
+    // A stored date the input cannot show (e.g. date-only from the MCP tools) reads back as '';
+    // dates are therefore taken from the form only once the user has changed them
+    ['dueDate', 'reminderTime'].forEach(field => {
+        const input = card.querySelector(`[data-edit-field="${field}"]`);
+        input.addEventListener('input', () => {
+            input.dataset.touched = 'true';
+        });
+    });
+    card.querySelector('[data-edit-field="title"]').focus();
+}
+
+async function saveReminderEdit(taskId, button) {
+    const task = allReminders.find(t => t.id === taskId);
+    const card = document.querySelector(`[data-reminder-id="${taskId}"]`);
+    if (!task || !card) return;
+
+    const field = name => card.querySelector(`[data-edit-field="${name}"]`).value;
+    const dateField = name => card.querySelector(`[data-edit-field="${name}"]`).dataset.touched ? field(name) : (task[name] || '');
+    const values = {
+        title: field('title').trim(),
+        description: field('description').trim(),
+        priority: field('priority'),
+        dueDate: dateField('dueDate'),
+        reminderTime: dateField('reminderTime'),
+        periodicityMinutes: parseInt(field('periodicityMinutes')) || 0,
+        recurringType: field('recurringType')
+    };
+
+    if (!values.title || !values.description) {
+        showNotification('Название и описание задачи не могут быть пустыми', 'error');
+        return;
+    }
+    if (values.dueDate && values.reminderTime && values.reminderTime > values.dueDate) {
+        showNotification('Время напоминания не может быть позже срока выполнения', 'error');
+        return;
+    }
+
+    // Undo sends back the stored dates, not the form's shortened copies
+    const previousValues = {...reminderEditValues(task), dueDate: task.dueDate || '', reminderTime: task.reminderTime || ''};
+    const changes = {};
+    const previous = {};
+    Object.keys(values).forEach(name => {
+        if (values[name] !== previousValues[name]) {
+            changes[name] = values[name];
+            previous[name] = previousValues[name];
+        }
+    });
+
+    if (Object.keys(changes).length === 0) {
+        displayFilteredReminders();
+        return;
+    }
+    // The server reschedules the next reminder from "now"; undo puts the old time back instead
+    if ('periodicityMinutes' in changes || 'recurringType' in changes) {
+        previous.nextReminderTime = task.nextReminderTime || '';
+    }
+
+    button.disabled = true;
+    try {
+        const result = await apiPut(`/reminder/${taskId}`, changes);
+        if (!result.success) {
+            showNotification('❌ Ошибка: ' + (result.error || 'Не удалось обновить задачу'), 'error');
+            return;
+        }
+
+        clearTimeout(lastReminderEditTimer);
+        lastReminderEdit = {taskId, previous};
+        lastReminderEditTimer = setTimeout(() => {
+            lastReminderEdit = null;
+            // Only the undo bar goes away, so a card opened for editing keeps its form
+            document.querySelector(`[data-reminder-id="${taskId}"] [data-reminder-undo]`)?.remove();
+        }, REMINDER_UNDO_MS);
+
+        showNotification('✅ Задача обновлена', 'success');
+        await loadReminders();
+    } catch (error) {
+        reportApiError(error, '❌ Ошибка при сохранении задачи');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function undoReminderEdit() {
+    if (!lastReminderEdit) return;
+
+    const {taskId, previous} = lastReminderEdit;
+    clearTimeout(lastReminderEditTimer);
+    lastReminderEdit = null;
+
+    try {
+        const result = await apiPut(`/reminder/${taskId}`, previous);
+        if (result.success) {
+            showNotification('↩️ Изменения отменены', 'success');
+        } else {
+            showNotification('❌ Ошибка: ' + (result.error || 'Не удалось отменить изменения'), 'error');
+        }
+    } catch (error) {
+        reportApiError(error, '❌ Ошибка при отмене изменений');
+    }
+    await loadReminders();
+}
+
 // Complete reminder
 async function completeReminder(taskId) {
     try {
-        const response = await fetch(`/reminder/${taskId}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({status: 'completed'})
-        });
-
-        const result = await response.json();
+        let result;
+        try {
+            result = await apiPut(`/reminder/${taskId}`, {status: 'completed'});
+        } catch (error) {
+            if (!isOfflineError(error)) throw error;
+            await queueReminderChange('reminder-complete', taskId, 'Выполнить');
+            return;
+        }
 
         if (result.success) {
             showNotification('✅ Задача отмечена как выполнена!', 'success');
@@ -2043,7 +5035,7 @@ async function completeReminder(taskId) {
             showNotification('❌ Ошибка: ' + (result.error || 'Не удалось обновить задачу'), 'error');
         }
     } catch (error) {
-        showNotification('❌ Ошибка при обновлении задачи: ' + error.message, 'error');
+        reportApiError(error, '❌ Ошибка при обновлении задачи');
     }
 }
 
@@ -2054,11 +5046,14 @@ async function deleteReminder(taskId) {
     }
 
     try {
-        const response = await fetch(`/reminder/${taskId}`, {
-            method: 'DELETE'
-        });
-
-        const result = await response.json();
+        let result;
+        try {
+            result = await apiDelete(`/reminder/${taskId}`);
+        } catch (error) {
+            if (!isOfflineError(error)) throw error;
+            await queueReminderChange('reminder-delete', taskId, 'Удалить');
+            return;
+        }
 
         if (result.success) {
             showNotification('✅ Задача успешно удалена!', 'success');
@@ -2067,10 +5062,70 @@ async function deleteReminder(taskId) {
             showNotification('❌ Ошибка: ' + (result.error || 'Не удалось удалить задачу'), 'error');
         }
     } catch (error) {
-        showNotification('❌ Ошибка при удалении задачи: ' + error.message, 'error');
+        reportApiError(error, '❌ Ошибка при удалении задачи');
+    }
+}
+
+// Offline changes of existing reminders remember the task as the user saw it,
+// so the replay can detect edits made on the server in the meantime
+function reminderFingerprint(task) {
+    return JSON.stringify([task.title, task.description, task.priority, task.dueDate, task.reminderTime,
+        task.status, task.recurringType, task.periodicityMinutes]);
+}
+
+async function queueReminderChange(kind, taskId, actionLabel) {
+    const task = allReminders.find(t => t.id === taskId);
+    await enqueueOutbox({
+        kind,
+        taskId,
+        label: `${actionLabel} задачу «${task ? task.title : taskId}»`,
+        fingerprint: task ? reminderFingerprint(task) : null
+    });
+    showNotification('📴 Нет связи с сервером — изменение будет отправлено позже', 'success');
+}
+
+// Returns the current server copy of the task, or throws OutboxConflictError if it changed
+async function checkReminderConflict(entry) {
+    let data;
+    try {
+        data = await apiGet(`/reminder/${entry.taskId}`, {retries: 0});
+    } catch (error) {
+        if (error instanceof ApiError && error.status === 404) return null;
+        throw error;
     }
+    if (entry.fingerprint && reminderFingerprint(data.task) !== entry.fingerprint) {
+        throw new OutboxConflictError('задача была изменена на сервере, действие отменено');
+    }
+    return data.task;
 }
 
+registerOutboxHandler('reminder-create', async (entry) => {
+    await apiPost('/reminder/create', entry.body);
+    showNotification(`✅ Отправлено из очереди: ${entry.label}`, 'success');
+    if (document.getElementById('reminders-list')) await loadReminders();
+});
+
+registerOutboxHandler('reminder-complete', async (entry) => {
+    const task = await checkReminderConflict(entry);
+    if (!task) throw new OutboxConflictError('задача была удалена на сервере');
+    if (task.status !== 'completed') {
+        await apiPut(`/reminder/${entry.taskId}`, {status: 'completed'});
+    }
+    if (document.getElementById('reminders-list')) await loadReminders();
+});
+
+registerOutboxHandler('reminder-delete', async (entry) => {
+    const task = await checkReminderConflict(entry);
+    if (task) {
+        await apiDelete(`/reminder/${entry.taskId}`);
+    }
+    if (document.getElementById('reminders-list')) await loadReminders();
+});
+
+document.addEventListener('outbox:changed', () => {
+    if (document.getElementById('reminders-list')) displayFilteredReminders();
+});
+
 // Filter reminders
 function filterReminders(filter) {
     currentRemindersFilter = filter;
@@ -2278,25 +5333,12 @@ async function executeComposition() {
     showCompositionLoading();
 
     try {
-        const response = await fetch('/mcp/composition', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({request})
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || 'Ошибка выполнения запроса');
-        }
-
-        const result = await response.json();
+        const result = await apiPost('/mcp/composition', {request}, {timeout: 120000});
         showCompositionResults(result);
 
     } catch (error) {
         console.error('Error executing composition:', error);
-        showCompositionError(error.message);
+        showCompositionError(error.userMessage || error.message);
     } finally {
         hideCompositionLoading();
     }
@@ -2308,11 +5350,7 @@ async function executeComposition() {
 async function loadOrchestrationServers() {
     console.log('Loading orchestration servers...');
     try {
-        const response = await fetch('/api/orchestration/servers');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const data = await response.json();
+        const data = await apiGet('/api/orchestration/servers');
         console.log('Servers data:', data);
 
         const container = document.getElementById('orch-servers-status');
@@ -2339,7 +5377,7 @@ async function loadOrchestrationServers() {
         console.error('Error loading orchestration servers:', error);
         const container = document.getElementById('orch-servers-status');
         if (container) {
-            container.innerHTML = `<div class="text-center text-red-500 text-sm py-4">Ошибка загрузки: ${error.message}</div>`;
+            container.innerHTML = `<div class="text-center text-red-500 text-sm py-4">Ошибка загрузки: ${error.userMessage || error.message}</div>`;
         }
     }
 }
@@ -2348,11 +5386,7 @@ async function loadOrchestrationServers() {
 async function loadOrchestrationTools() {
     console.log('Loading orchestration tools...');
     try {
-        const response = await fetch('/api/orchestration/tools');
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const data = await response.json();
+        const data = await apiGet('/api/orchestration/tools');
         console.log('Tools data:', data);
 
         const container = document.getElementById('orch-tools-list');
@@ -2377,7 +5411,7 @@ async function loadOrchestrationTools() {
         console.error('Error loading orchestration tools:', error);
         const container = document.getElementById('orch-tools-list');
         if (container) {
-            container.innerHTML = `<div class="text-center text-red-500 text-sm py-4">Ошибка загрузки: ${error.message}</div>`;
+            container.innerHTML = `<div class="text-center text-red-500 text-sm py-4">Ошибка загрузки: ${error.userMessage || error.message}</div>`;
         }
     }
 }
@@ -2395,13 +5429,7 @@ async function executeOrchestration(query) {
     executeBtn.disabled = true;
 
     try {
-        const response = await fetch('/api/orchestration/execute', {
-            method: 'POST',
-            headers: {'Content-Type': 'application/json'},
-            body: JSON.stringify({query})
-        });
-
-        const result = await response.json();
+        const result = await apiPost('/api/orchestration/execute', {query}, {timeout: 180000});
 
         // Display results
         displayOrchestrationResults(result);
@@ -2411,8 +5439,7 @@ async function executeOrchestration(query) {
         // Scroll to results
         resultsContainer.scrollIntoView({behavior: 'smooth', block: 'nearest'});
     } catch (error) {
-        console.error('Error executing orchestration:', error);
-        showNotification('❌ Ошибка выполнения: ' + error.message, 'error');
+        reportApiError(error, '❌ Ошибка выполнения');
     } finally {
         loadingIndicator.classList.add('hidden');
         executeBtn.disabled = false;
@@ -2427,11 +5454,21 @@ function displayOrchestrationResults(result) {
         execTimeEl.textContent = `${result.elapsedTimeMs}ms`;
     }
 
-    // Token usage
+    // Token usage is recorded even if the stats block is not on the page
+    const cost = recordUsage({
+        tab: 'orchestration',
+        model: DEFAULT_CHAT_MODEL,
+        sessionKey: 'orchestration',
+        inputTokens: result.inputTokens,
+        outputTokens: result.outputTokens,
+        latencyMs: result.elapsedTimeMs
+    });
+    renderSessionSpend('orch-spend', 'orchestration', 'Потрачено на оркестрацию');
+
     const tokenUsageEl = document.getElementById('orch-token-usage');
     if (tokenUsageEl) {
         const totalTokens = (result.inputTokens || 0) + (result.outputTokens || 0);
-        tokenUsageEl.textContent = `${totalTokens} tokens`;
+        tokenUsageEl.textContent = `${totalTokens} tokens · ${formatCost(cost)}`;
     }
 
     // Execution steps
@@ -2550,29 +5587,9 @@ function initializeOrchestrationTab() {
 document.addEventListener('DOMContentLoaded', () => {
     loadCoachStyle();
     loadChatHistory(sessionId);
+    renderSessionSpend('training-session-spend', sessionId);
     initializeMcpSession();
-
-    // Add tab switching for reminders
-    const remindersTab = document.getElementById('tab-reminders');
-    if (remindersTab) {
-        remindersTab.addEventListener('click', () => {
-            // Hide all tabs
-            document.querySelectorAll('.tab-content').forEach(tab => {
-                tab.classList.remove('active');
-            });
-            document.querySelectorAll('.nav-link').forEach(link => {
-                link.classList.remove('active-tab');
-            });
-
-            // Show reminders tab
-            document.getElementById('reminders-content').classList.add('active');
-            remindersTab.classList.add('active-tab');
-
-            // Load reminders when tab is opened
-            loadReminders();
-        });
-    }
-
+    refreshOutboxState().then(() => replayOutbox());
 
     console.log('✅ DOMContentLoaded complete - all event listeners attached');
 });
@@ -2687,24 +5704,13 @@ function initClubChat() {
         clubLoading.classList.remove('hidden');
 
         try {
-            const response = await fetch('/club/chat', {
-                method: 'POST',
-                headers: {'Content-Type': 'application/json'},
-                body: JSON.stringify({
-                    sessionId: clubSessionId,
-                    message: message
-                })
-            });
+            const data = await apiPost('/club/chat', {
+                sessionId: clubSessionId,
+                message: message
+            }, {timeout: 120000});
 
             clubLoading.classList.add('hidden');
 
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error || 'Request failed');
-            }
-
-            const data = await response.json();
-
             // Update session ID if provided
             if (data.sessionId) {
                 clubSessionId = data.sessionId;
@@ -2718,8 +5724,8 @@ function initClubChat() {
 
         } catch (error) {
             clubLoading.classList.add('hidden');
-            console.error('Error sending message:', error);
-            addClubMessage('assistant', `Ошибка: ${error.message}`, null);
+            addClubMessage('assistant', `Ошибка: ${error.userMessage || error.message}`, null);
+            reportApiError(error, 'Ошибка чата клуба');
         } finally {
             clubInput.disabled = false;
             clubInput.focus();
@@ -0,0 +1,223 @@
+// Usage log and dashboard (loaded after pricing.js, before script.js).
+// Every model response on the page is recorded with its tab, model, tokens, latency and the cost
+// at the prices of that moment; the dashboard aggregates the log per day, tab and model.
+
+const USAGE_STORAGE_KEY = 'usageLog';
+const USAGE_LOG_LIMIT = 5000;
+
+const USAGE_TAB_LABELS = {
+    training: 'Тренер',
+    reasoning: 'Болталка',
+    models: 'Сравнение моделей',
+    orchestration: 'Оркестрация'
+};
+
+let usageDashboardPeriod = '7';
+let usageDashboardMetric = 'cost';
+let usageDashboardCurrency = 'USD';
+
+function getUsageLog() {
+    return JSON.parse(localStorage.getItem(USAGE_STORAGE_KEY) || '[]');
+}
+
+/**
+ * entry: {tab, model, sessionKey, inputTokens, outputTokens, latencyMs, cost?}
+ * cost defaults to the pricing registry estimate. The cost is also added to the spend
+ * total of entry.sessionKey; returns it so callers can display it.
+ */
+function recordUsage(entry) {
+    const cost = entry.cost !== undefined ? entry.cost : estimateCost(entry.model, entry.inputTokens, entry.outputTokens);
+
+    const log = getUsageLog();
+    log.push({
+        timestamp: new Date().toISOString(),
+        tab: entry.tab,
+        model: entry.model,
+        sessionKey: entry.sessionKey || null,
+        inputTokens: entry.inputTokens || 0,
+        outputTokens: entry.outputTokens || 0,
+        latencyMs: entry.latencyMs != null ? Math.round(entry.latencyMs) : null,
+        cost: cost ? cost.amount : null,
+        currency: cost ? cost.currency : null
+    });
+    localStorage.setItem(USAGE_STORAGE_KEY, JSON.stringify(log.slice(-USAGE_LOG_LIMIT)));
+
+    if (entry.sessionKey) {
+        recordSessionSpend(entry.sessionKey, cost);
+    }
+    return cost;
+}
+
+function usageDayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function getUsageEntriesForPeriod() {
+    const log = getUsageLog();
+    if (usageDashboardPeriod === 'all') return log;
+
+    const since = new Date();
+    since.setHours(0, 0, 0, 0);
+    since.setDate(since.getDate() - parseInt(usageDashboardPeriod) + 1);
+    return log.filter(entry => new Date(entry.timestamp) >= since);
+}
+
+function usageMetricValue(entry) {
+    if (usageDashboardMetric === 'tokens') return entry.inputTokens + entry.outputTokens;
+    return entry.currency === usageDashboardCurrency ? (entry.cost || 0) : 0;
+}
+
+function formatUsageMetric(value) {
+    return usageDashboardMetric === 'tokens'
+        ? value.toLocaleString('ru-RU')
+        : formatCost({amount: value, currency: usageDashboardCurrency}, 4);
+}
+
+function groupUsage(entries, keyOf) {
+    const groups = {};
+    entries.forEach(entry => {
+        const key = keyOf(entry);
+        groups[key] = groups[key] || {value: 0, count: 0};
+        groups[key].value += usageMetricValue(entry);
+        groups[key].count++;
+    });
+    return groups;
+}
+
+function openUsageDashboard() {
+    document.getElementById('usage-modal')?.classList.remove('hidden');
+    renderUsageDashboard();
+}
+
+function closeUsageDashboard() {
+    document.getElementById('usage-modal')?.classList.add('hidden');
+}
+
+function renderUsageDashboard() {
+    const entries = getUsageEntriesForPeriod();
+
+    const currencies = [...new Set(getUsageLog().map(entry => entry.currency).filter(Boolean))];
+    if (currencies.length > 0 && !currencies.includes(usageDashboardCurrency)) {
+        usageDashboardCurrency = currencies[0];
+    }
+    const currencySelect = document.getElementById('usage-currency');
+    if (currencySelect) {
+        currencySelect.innerHTML = (currencies.length > 0 ? currencies : ['USD'])
+            .map(currency => `<option value="${currency}">${currency}</option>`).join('');
+        currencySelect.value = usageDashboardCurrency;
+        currencySelect.disabled = usageDashboardMetric === 'tokens';
+    }
+
+    renderUsageTotals(entries);
+
+    // Days are zero-filled so gaps in usage stay visible
+    const byDay = groupUsage(entries, entry => usageDayKey(new Date(entry.timestamp)));
+    const dayCount = usageDashboardPeriod === 'all'
+        ? Math.min(Object.keys(byDay).length > 0
+            ? Math.ceil((Date.now() - new Date(Object.keys(byDay).sort()[0]).getTime()) / 86400000) + 1
+            : 1, 90)
+        : parseInt(usageDashboardPeriod);
+    const dayRows = [];
+    for (let i = dayCount - 1; i >= 0; i--) {
+        const date = new Date();
+        date.setDate(date.getDate() - i);
+        const key = usageDayKey(date);
+        dayRows.push({
+            label: date.toLocaleDateString('ru-RU', {day: '2-digit', month: '2-digit'}),
+            value: byDay[key]?.value || 0,
+            count: byDay[key]?.count || 0
+        });
+    }
+    renderUsageBars('usage-by-day', dayRows);
+
+    const toRows = (groups, labelOf) => Object.entries(groups)
+        .map(([key, group]) => ({label: labelOf(key), value: group.value, count: group.count}))
+        .sort((a, b) => b.value - a.value);
+    renderUsageBars('usage-by-tab', toRows(groupUsage(entries, entry => entry.tab), tab => USAGE_TAB_LABELS[tab] || tab));
+    renderUsageBars('usage-by-model', toRows(groupUsage(entries, entry => entry.model || '—'), model => model));
+}
+
+function renderUsageTotals(entries) {
+    const container = document.getElementById('usage-totals');
+    if (!container) return;
+
+    const inputTokens = entries.reduce((sum, entry) => sum + entry.inputTokens, 0);
+    const outputTokens = entries.reduce((sum, entry) => sum + entry.outputTokens, 0);
+    const timed = entries.filter(entry => entry.latencyMs != null);
+    const avgLatency = timed.length > 0 ? timed.reduce((sum, entry) => sum + entry.latencyMs, 0) / timed.length : null;
+
+    const spend = {};
+    entries.filter(entry => entry.currency).forEach(entry => {
+        spend[entry.currency] = (spend[entry.currency] || 0) + entry.cost;
+    });
+    const spendText = Object.entries(spend).map(([currency, amount]) => formatCost({amount, currency}, 4)).join(' + ')
+        || formatCost({amount: 0, currency: 'USD'}, 4);
+
+    const card = (title, value) => `
+        <div class="p-3 bg-gray-50 rounded-lg border border-gray-200">
+            <div class="text-xs text-gray-500 mb-1">${title}</div>
+            <div class="font-bold text-sm" style="color: var(--primary-color);">${value}</div>
+        </div>
+    `;
+    container.innerHTML = [
+        card('Ответов', entries.length),
+        card('Токены (вход / выход)', `${inputTokens.toLocaleString('ru-RU')} / ${outputTokens.toLocaleString('ru-RU')}`),
+        card('Средняя задержка', avgLatency != null ? `${(avgLatency / 1000).toFixed(2)} с` : '—'),
+        card('Потрачено', spendText)
+    ].join('');
+}
+
+function renderUsageBars(containerId, rows) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    if (rows.length === 0) {
+        container.innerHTML = '<p class="text-xs text-gray-400">Нет данных за период</p>';
+        return;
+    }
+
+    const max = Math.max(...rows.map(row => row.value), 0);
+    container.innerHTML = rows.map(row => `
+        <div class="flex items-center gap-2 text-xs" title="${escapeUsageText(row.label)}: ${row.count} ответ(ов)">
+            <span class="w-32 truncate text-gray-600">${escapeUsageText(row.label)}</span>
+            <div class="flex-1 bg-gray-100 rounded h-3">
+                <div class="bg-blue-500 h-3 rounded" style="width: ${max > 0 ? (row.value / max * 100).toFixed(1) : 0}%"></div>
+            </div>
+            <span class="w-24 text-right text-gray-700">${formatUsageMetric(row.value)}</span>
+        </div>
+    `).join('');
+}
+
+function escapeUsageText(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function setUsageDashboardOption(option, value) {
+    if (option === 'period') usageDashboardPeriod = value;
+    if (option === 'metric') usageDashboardMetric = value;
+    if (option === 'currency') usageDashboardCurrency = value;
+    renderUsageDashboard();
+}
+
+function csvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportUsageCsv() {
+    const header = ['timestamp', 'tab', 'model', 'session', 'input_tokens', 'output_tokens', 'latency_ms', 'cost', 'currency'];
+    const rows = getUsageEntriesForPeriod().map(entry => [
+        entry.timestamp, entry.tab, entry.model, entry.sessionKey, entry.inputTokens, entry.outputTokens,
+        entry.latencyMs, entry.cost != null ? entry.cost.toFixed(8) : '', entry.currency
+    ]);
+    const csv = [header, ...rows].map(row => row.map(csvField).join(',')).join('\n');
+    downloadFile(`usage-${usageDayKey(new Date())}.csv`, '\uFEFF' + csv, 'text/csv;charset=utf-8');
+}
+
+function clearUsageLog() {
+    if (!confirm('Удалить всю историю расхода? Суммы по диалогам останутся.')) return;
+    localStorage.removeItem(USAGE_STORAGE_KEY);
+    renderUsageDashboard();
+}